@@ -0,0 +1,88 @@
+import url from 'url'
+import { serializeError } from 'serialize-error'
+import httpUtils from '../../utils.js'
+import {
+  getAuthorizationRequestHeader,
+  getStoredCredential,
+  hasValidAuthorizationHeader,
+  isBasicAuthEnabled,
+} from '../../validator/authentication.js'
+import errorMessages from '../../validator/error-messages.js'
+import cartHandler from '../../cartHandler/cart-handler.js'
+
+const logger = httpUtils.getLogger()
+
+async function processRequest(request, response) {
+  if (request.method !== 'POST') {
+    logger.debug(
+      `Received non-POST request: ${request.method}. The request will not be processed...`,
+    )
+    return httpUtils.sendResponse({
+      response,
+      statusCode: 400,
+      data: {
+        errors: [
+          {
+            code: 'InvalidInput',
+            message: 'Invalid HTTP method.',
+          },
+        ],
+      },
+    })
+  }
+
+  // the cart API extension URL contains the project key as the cart does not contain it
+  const { ctpProjectKey } = url.parse(request.url, true).query
+  if (isBasicAuthEnabled() && !_isAuthorized(request, ctpProjectKey))
+    return httpUtils.sendResponse({
+      response,
+      statusCode: 400,
+      data: {
+        errors: [
+          {
+            code: 'Unauthorized',
+            message: errorMessages.UNAUTHORIZED_REQUEST,
+          },
+        ],
+      },
+    })
+
+  let cartObject
+  try {
+    const body = await httpUtils.collectRequestData(request)
+    cartObject = JSON.parse(body).resource.obj
+  } catch (err) {
+    logger.error(
+      `Error during parsing CTP cart request. Error: ${JSON.stringify(
+        serializeError(err),
+      )}`,
+    )
+    return httpUtils.sendResponse({
+      response,
+      statusCode: 200,
+      data: { actions: [] },
+    })
+  }
+
+  // The cart API extension has a timeout of 2 seconds, which is not enough to call Adyen.
+  // Hence the cart update is confirmed right away and the amount update is done afterwards.
+  httpUtils.sendResponse({
+    response,
+    statusCode: 200,
+    data: { actions: [] },
+  })
+  return cartHandler.handleCart(cartObject, ctpProjectKey)
+}
+
+function _isAuthorized(request, ctpProjectKey) {
+  const storedCredential = getStoredCredential(ctpProjectKey)
+  return (
+    storedCredential &&
+    hasValidAuthorizationHeader(
+      storedCredential,
+      getAuthorizationRequestHeader(request),
+    )
+  )
+}
+
+export default { processRequest }
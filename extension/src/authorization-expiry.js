@@ -0,0 +1,108 @@
+import config from './config/config.js'
+import ctpClientBuilder from './ctp.js'
+import c from './config/constants.js'
+import utils from './utils.js'
+import {
+  createAmountUpdatesRequestActions,
+  getAuthorizationTransactionSuccess,
+  getAuthorizedAmount,
+  isAuthorizationOpen,
+} from './paymentHandler/payment-utils.js'
+
+const logger = utils.getLogger()
+
+/**
+ * Lists the open authorisations of all configured commercetools projects
+ * which expire within the given number of days.
+ * If `extend` is true, it also requests to extend each of them with an amount update of the same amount.
+ */
+async function listExpiringAuthorizations(withinDays = 2, extend = false) {
+  const expiresBefore = new Date()
+  expiresBefore.setUTCDate(
+    expiresBefore.getUTCDate() + parseInt(withinDays, 10),
+  )
+  const shouldExtend = extend === true || extend === 'true'
+
+  const expiringAuthorizations = await Promise.all(
+    config.getAllCtpProjectKeys().map(async (ctpProjectKey) => {
+      const ctpClient = await ctpClientBuilder.get(
+        config.getCtpConfig(ctpProjectKey),
+      )
+      const payments = await _fetchExpiringPayments(ctpClient, expiresBefore)
+      return Promise.all(
+        payments.map(async (payment) => {
+          const authorization = getAuthorizationTransactionSuccess(payment)
+          const expiringAuthorization = {
+            commercetoolsProjectKey: ctpProjectKey,
+            paymentId: payment.id,
+            paymentKey: payment.key,
+            pspReference: authorization.interactionId,
+            amount: payment.amountPlanned,
+            authorizationExpiresAt:
+              authorization.custom.fields.authorizationExpiresAt,
+            extended: false,
+          }
+          if (shouldExtend)
+            expiringAuthorization.extended = await _extendAuthorization(
+              ctpClient,
+              payment,
+              authorization,
+            )
+          return expiringAuthorization
+        }),
+      )
+    }),
+  )
+  return expiringAuthorizations.flat()
+}
+
+async function _fetchExpiringPayments(ctpClient, expiresBefore) {
+  const payments = []
+  await ctpClient.fetchBatches(
+    ctpClient.builder.payments.where(
+      `paymentMethodInfo(paymentInterface="${c.CTP_ADYEN_INTEGRATION}") ` +
+        'and transactions(type="Authorization" and state="Success" ' +
+        `and custom(fields(authorizationExpiresAt <= "${expiresBefore.toISOString()}")))`,
+    ),
+    (results) => payments.push(...results),
+  )
+  return payments.filter((payment) => {
+    if (!isAuthorizationOpen(payment)) return false
+    const { authorizationExpiresAt } =
+      getAuthorizationTransactionSuccess(payment).custom?.fields || {}
+    return (
+      authorizationExpiresAt &&
+      new Date(authorizationExpiresAt) <= expiresBefore
+    )
+  })
+}
+
+async function _extendAuthorization(ctpClient, payment, authorization) {
+  // the authorisation is extended by an amount update with the currently authorised amount
+  const amountUpdatesRequest = {
+    paymentPspReference: authorization.interactionId,
+    amount: {
+      currency: authorization.amount.currencyCode,
+      value: getAuthorizedAmount(payment),
+    },
+    industryUsage: 'delayedCharge',
+    reference: payment.key,
+  }
+  try {
+    await ctpClient.update(
+      ctpClient.builder.payments,
+      payment.id,
+      payment.version,
+      createAmountUpdatesRequestActions(amountUpdatesRequest),
+    )
+    return true
+  } catch (err) {
+    logger.error(
+      err,
+      `Failed to extend the authorisation of the payment with key ${payment.key}`,
+    )
+    return false
+  }
+}
+
+export { listExpiringAuthorizations }
@@ -0,0 +1,105 @@
+import { serializeError } from 'serialize-error'
+import ctpClientBuilder from '../ctp.js'
+import config from '../config/config.js'
+import c from '../config/constants.js'
+import utils from '../utils.js'
+import {
+  createAmountUpdatesRequestActions,
+  getAuthorizationTransactionSuccess,
+  getLatestInterfaceInteraction,
+  isAuthorizationOpen,
+} from '../paymentHandler/payment-utils.js'
+
+const mainLogger = utils.getLogger()
+
+/**
+ * Keeps the pre-authorised amount of the cart payments in sync with the cart total:
+ * for every pre-authorised payment of the cart whose authorised amount differs from the cart total
+ * it sets `amountUpdatesRequest` on the payment, which is then processed by the amount updates handler.
+ * The cart itself is never changed.
+ */
+async function handleCart(cartObject, ctpProjectKey) {
+  if (!config.getModuleConfig().automaticAmountUpdates) return { actions: [] }
+
+  const paymentReferences = cartObject.paymentInfo?.payments || []
+  if (paymentReferences.length === 0) return { actions: [] }
+
+  const logger = mainLogger.child({
+    commercetools_project_key: ctpProjectKey,
+  })
+  try {
+    const ctpClient = await ctpClientBuilder.get(
+      config.getCtpConfig(ctpProjectKey),
+    )
+    const cartTotal = cartObject.taxedPrice?.totalGross ?? cartObject.totalPrice
+    await Promise.all(
+      paymentReferences.map((paymentReference) =>
+        _updateAuthorisedAmount(ctpClient, paymentReference.id, cartTotal),
+      ),
+    )
+  } catch (err) {
+    // a failed amount update must never block the cart update
+    logger.error(
+      `Failed to update the authorised amount of the payments of the cart ${cartObject.id}. ` +
+        `Error: ${JSON.stringify(serializeError(err))}`,
+    )
+  }
+  return { actions: [] }
+}
+
+async function _updateAuthorisedAmount(ctpClient, paymentId, cartTotal) {
+  const { body: payment } = await ctpClient.fetchById(
+    ctpClient.builder.payments,
+    paymentId,
+  )
+  if (!_isPreAuthorisedPayment(payment)) return
+  if (payment.amountPlanned.currencyCode !== cartTotal.currencyCode) return
+  if (_getAuthorisedAmount(payment) === cartTotal.centAmount) return
+
+  const authorizationTransaction = getAuthorizationTransactionSuccess(payment)
+  const amountUpdatesRequest = {
+    paymentPspReference: authorizationTransaction.interactionId,
+    amount: {
+      currency: cartTotal.currencyCode,
+      value: cartTotal.centAmount,
+    },
+    industryUsage: _getPaymentRequest(payment).industryUsage || 'delayedCharge',
+    reference: payment.key,
+  }
+  await ctpClient.update(
+    ctpClient.builder.payments,
+    payment.id,
+    payment.version,
+    createAmountUpdatesRequestActions(amountUpdatesRequest),
+  )
+}
+
+function _isPreAuthorisedPayment(payment) {
+  return (
+    payment.paymentMethodInfo?.paymentInterface === c.CTP_ADYEN_INTEGRATION &&
+    isAuthorizationOpen(payment) &&
+    _getPaymentRequest(payment).additionalData?.authorisationType === 'PreAuth'
+  )
+}
+
+function _getPaymentRequest(payment) {
+  const { makePaymentRequest, createSessionRequest } =
+    payment.custom?.fields || {}
+  const paymentRequest = makePaymentRequest || createSessionRequest
+  return paymentRequest ? JSON.parse(paymentRequest) : {}
+}
+
+function _getAuthorisedAmount(payment) {
+  // amountPlanned is updated only after Adyen confirms the adjustment with a notification
+  const amountUpdatesInteraction = getLatestInterfaceInteraction(
+    payment.interfaceInteractions,
+    c.CTP_INTERACTION_TYPE_AMOUNT_UPDATES,
+  )
+  if (amountUpdatesInteraction) {
+    const response = JSON.parse(amountUpdatesInteraction.fields.response)
+    if (response.status === 'received') return response.amount.value
+  }
+  return payment.amountPlanned.centAmount
+}
+
+export default { handleCart }
@@ -1,4 +1,6 @@
 import { loadConfig } from './config-loader.js'
+import lodash from 'lodash'
+import c from './constants.js'
 
 let config
 
@@ -21,6 +23,24 @@ function getModuleConfig() {
       config.generateIdempotencyKey,
       false,
     ),
+    maxMakePaymentAttempts: parseInt(config.maxMakePaymentAttempts, 10) || 1,
+    automaticAmountUpdates: _getValueOfBooleanFlag(
+      config.automaticAmountUpdates,
+      false,
+    ),
+    useReversalsForCancellation: _getValueOfBooleanFlag(
+      config.useReversalsForCancellation,
+      false,
+    ),
+    addDiscountLineItems: _getValueOfBooleanFlag(
+      config.addDiscountLineItems,
+      false,
+    ),
+    addRoundingLineItem: _getValueOfBooleanFlag(
+      config.addRoundingLineItem,
+      false,
+    ),
+    installmentRules: config.installmentRules || [],
   }
 }
 
@@ -59,6 +79,28 @@ function _validateAuthenticationConfig(ctpConfig) {
   return null
 }
 
+/**
+ * @return error message of the first invalid rule or null if all rules are valid
+ */
+function _validateCartDataMappingRules(rules) {
+  if (!Array.isArray(rules)) return 'Mapping rules must be an array.'
+  for (const { source, target, transform } of rules) {
+    if (typeof source !== 'string' || typeof target !== 'string')
+      return 'Every mapping rule must have a source and a target path.'
+    if (!c.CART_DATA_MAPPING_SOURCE_ROOTS.includes(lodash.toPath(source)[0]))
+      return `Source path [${source}] must start with one of ${c.CART_DATA_MAPPING_SOURCE_ROOTS.join(', ')}.`
+    const unknownTransform = lodash
+      .castArray(transform || [])
+      .find((name) => !c.CART_DATA_MAPPING_TRANSFORMS.includes(name))
+    if (unknownTransform)
+      return (
+        `Transform [${unknownTransform}] is not supported. ` +
+        `Supported transforms: ${c.CART_DATA_MAPPING_TRANSFORMS.join(', ')}.`
+      )
+  }
+  return null
+}
+
 function getCtpConfig(ctpProjectKey) {
   const ctpConfig = config.commercetools[ctpProjectKey]
   if (!ctpConfig)
@@ -73,6 +115,8 @@ function getCtpConfig(ctpProjectKey) {
       ctpConfig.apiUrl || 'https://api.europe-west1.gcp.commercetools.com',
     authUrl:
       ctpConfig.authUrl || 'https://auth.europe-west1.gcp.commercetools.com',
+    lineItemProductData: ctpConfig.lineItemProductData || null,
+    cartDataMapping: ctpConfig.cartDataMapping || null,
   }
   if (ctpConfig.authentication) {
     result.authentication = {
@@ -95,8 +139,12 @@ function getAdyenConfig(adyenMerchantAccount) {
   return {
     apiKey: adyenConfig.apiKey,
     apiBaseUrl: adyenConfig.apiBaseUrl || 'https://checkout-test.adyen.com/v71',
+    terminalApiBaseUrl:
+      adyenConfig.terminalApiBaseUrl || 'https://terminal-api-test.adyen.com',
     clientKey: adyenConfig.clientKey || '', // used only for development purpose,
     paypalMerchantId: adyenConfig.paypalMerchantId || '', // used only for development purpose
+    surchargeRules: adyenConfig.surchargeRules || [],
+    marketplaceSplits: adyenConfig.marketplaceSplits || null,
   }
 }
 
@@ -148,6 +196,14 @@ function loadAndValidateConfig() {
         ctpProjectKey: [${ctpProjectKey}]`,
       )
     }
+    const mappingErrorMessage = ctpConfig.cartDataMapping
+      ? _validateCartDataMappingRules(ctpConfig.cartDataMapping.rules)
+      : null
+    if (mappingErrorMessage)
+      throw new Error(
+        `[${ctpProjectKey}]: Cart data mapping is not properly configured. ` +
+          `Please update the configuration. error : [${mappingErrorMessage}]`,
+      )
   }
 }
 
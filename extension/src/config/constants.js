@@ -9,12 +9,17 @@ export default {
   CTP_CUSTOM_FIELD_GET_PAYMENT_METHODS_RESPONSE: 'getPaymentMethodsResponse',
   CTP_INTERACTION_TYPE_MAKE_PAYMENT: 'makePayment',
   CTP_CUSTOM_FIELD_MAKE_PAYMENT_RESPONSE: 'makePaymentResponse',
+  CTP_INTERACTION_TYPE_MAKE_PAYMENT_ATTEMPT: 'makePaymentAttempt',
   CTP_INTERACTION_TYPE_SUBMIT_ADDITIONAL_PAYMENT_DETAILS:
     'submitAdditionalPaymentDetails',
   CTP_CUSTOM_FIELD_SUBMIT_ADDITIONAL_PAYMENT_DETAILS_RESPONSE:
     'submitAdditionalPaymentDetailsResponse',
+  CTP_CUSTOM_FIELD_SUBMIT_ADDITIONAL_PAYMENT_DETAILS_REQUEST:
+    'submitAdditionalPaymentDetailsRequest',
+  CTP_CUSTOM_FIELD_THREE_DS2_RESULT: 'threeDS2Result',
   CTP_INTERACTION_TYPE_MANUAL_CAPTURE: 'manualCapture',
   CTP_INTERACTION_TYPE_REFUND: 'refund',
+  CTP_INTERACTION_TYPE_RECURRING_PAYMENT: 'recurringPayment',
 
   PAYMENT_METHOD_TYPE_KLARNA_METHODS: [
     'klarna',
@@ -37,10 +42,48 @@ export default {
   ],
   CTP_CARBON_OFFSET_COSTS_RESPONSE: 'getCarbonOffsetCostsResponse',
   CTP_INTERACTION_TYPE_GET_CARBON_OFFSET_COSTS: 'getCarbonOffsetCosts',
+  CTP_CUSTOM_FIELD_AMOUNT_UPDATES_REQUEST: 'amountUpdatesRequest',
   CTP_CUSTOM_FIELD_AMOUNT_UPDATES_RESPONSE: 'amountUpdatesResponse',
   CTP_INTERACTION_TYPE_AMOUNT_UPDATES: 'amountUpdates',
+  CTP_INTERACTION_TYPE_NOTIFICATION: 'notification',
   CTP_INTERACTION_TYPE_CREATE_SESSION: 'createSession',
   CTP_INTERACTION_TYPE_CREATE_SESSION_RESPONSE: 'createSessionResponse',
   CTP_INTERACTION_TYPE_DISABLE_STORED_PAYMENT: 'disableStoredPayment',
   CTP_DISABLE_STORED_PAYMENT_RESPONSE: 'disableStoredPaymentResponse',
+  CTP_INTERACTION_TYPE_GET_STORED_PAYMENT_METHODS: 'getStoredPaymentMethods',
+  CTP_CUSTOM_FIELD_GET_STORED_PAYMENT_METHODS_RESPONSE:
+    'getStoredPaymentMethodsResponse',
+  CTP_INTERACTION_TYPE_GET_BALANCE: 'getBalance',
+  CTP_CUSTOM_FIELD_GET_BALANCE_RESPONSE: 'getBalanceResponse',
+  CTP_INTERACTION_TYPE_CREATE_ORDER: 'createOrder',
+  CTP_CUSTOM_FIELD_CREATE_ORDER_RESPONSE: 'createOrderResponse',
+  CTP_INTERACTION_TYPE_CANCEL_ORDER: 'cancelOrder',
+  CTP_CUSTOM_FIELD_CANCEL_ORDER_RESPONSE: 'cancelOrderResponse',
+  CTP_INTERACTION_TYPE_CREATE_PAYMENT_LINK: 'createPaymentLink',
+  CTP_CUSTOM_FIELD_CREATE_PAYMENT_LINK_RESPONSE: 'createPaymentLinkResponse',
+  CTP_INTERACTION_TYPE_GET_SESSION_RESULT: 'getSessionResult',
+  CTP_CUSTOM_FIELD_GET_SESSION_RESULT_RESPONSE: 'getSessionResultResponse',
+  CTP_INTERACTION_TYPE_GET_CARD_DETAILS: 'getCardDetails',
+  CTP_CUSTOM_FIELD_GET_CARD_DETAILS_RESPONSE: 'getCardDetailsResponse',
+  CTP_INTERACTION_TYPE_DONATION: 'donation',
+  CTP_CUSTOM_FIELD_DONATION_RESPONSE: 'donationResponse',
+  CTP_INTERACTION_TYPE_TERMINAL_PAYMENT: 'terminalPayment',
+  CTP_CUSTOM_FIELD_TERMINAL_PAYMENT_RESPONSE: 'terminalPaymentResponse',
+  CTP_INTERACTION_TYPE_EXPRESS_CHECKOUT_UPDATE: 'expressCheckoutUpdate',
+  CTP_CUSTOM_FIELD_EXPRESS_CHECKOUT_UPDATE_RESPONSE:
+    'expressCheckoutUpdateResponse',
+  CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER: 'paypalUpdateOrder',
+  CTP_INTERACTION_TYPE_REVERSAL: 'reversal',
+  CTP_INTERACTION_TYPE_TECHNICAL_CANCEL: 'technicalCancel',
+  CTP_CUSTOM_FIELD_REVERSAL_RESPONSE: 'reversalResponse',
+  CART_DATA_MAPPING_SOURCE_ROOTS: ['cart', 'customer', 'payment'],
+  CART_DATA_MAPPING_TRANSFORMS: [
+    'uppercase',
+    'lowercase',
+    'trim',
+    'digits',
+    'string',
+    'number',
+    'date',
+  ],
 }
@@ -10,18 +10,53 @@ async function ensureApiExtensions(
   ctpAdyenIntegrationBaseUrl,
   ctpAuthHeaderValue,
 ) {
-  const apiExtensionTemplate = await utils.readAndParseJsonFile(
+  await ensureApiExtension(
+    ctpClient,
+    ctpProjectKey,
     'resources/api-extension.json',
+    { ctpAdyenIntegrationBaseUrl },
+    ctpAuthHeaderValue,
+  )
+}
+
+// The /cart endpoint is offered only by the Extension module running as an HTTP server,
+// hence the cart API extension is not a part of ensureApiExtensions.
+async function ensureCartApiExtension(
+  ctpClient,
+  ctpProjectKey,
+  ctpAdyenIntegrationBaseUrl,
+  ctpAuthHeaderValue,
+) {
+  await ensureApiExtension(
+    ctpClient,
+    ctpProjectKey,
+    'resources/api-extension-cart.json',
+    {
+      ctpAdyenIntegrationBaseUrl: _.trimEnd(ctpAdyenIntegrationBaseUrl, '/'),
+      ctpProjectKey: encodeURIComponent(ctpProjectKey),
+    },
+    ctpAuthHeaderValue,
+  )
+}
+
+async function ensureApiExtension(
+  ctpClient,
+  ctpProjectKey,
+  apiExtensionTemplatePath,
+  templateValues,
+  ctpAuthHeaderValue,
+) {
+  const apiExtensionTemplate = await utils.readAndParseJsonFile(
+    apiExtensionTemplatePath,
   )
   try {
     const logger = mainLogger.child({
       commercetools_project_key: ctpProjectKey,
     })
     const extensionDraft = JSON.parse(
-      _.template(JSON.stringify(apiExtensionTemplate))({
-        ctpAdyenIntegrationBaseUrl,
-      }),
+      _.template(JSON.stringify(apiExtensionTemplate))(templateValues),
     )
+    const { resourceTypeId } = extensionDraft.triggers[0]
     if (ctpAuthHeaderValue) {
       extensionDraft.destination.authentication = JSON.parse(
         `{` +
@@ -37,7 +72,7 @@ async function ensureApiExtensions(
     if (existingExtension === null) {
       await ctpClient.create(ctpClient.builder.extensions, extensionDraft)
       logger.info(
-        'Successfully created an API extension for payment resource type ' +
+        `Successfully created an API extension for ${resourceTypeId} resource type ` +
           `(key=${apiExtensionTemplate.key})`,
       )
     } else {
@@ -50,7 +85,7 @@ async function ensureApiExtensions(
           actions,
         )
         logger.info(
-          'Successfully updated the API extension for payment resource type ' +
+          `Successfully updated the API extension for ${resourceTypeId} resource type ` +
             `(key=${apiExtensionTemplate.key})`,
         )
       }
@@ -93,4 +128,4 @@ async function fetchExtensionByKey(ctpClient, key) {
   }
 }
 
-export { ensureApiExtensions }
+export { ensureApiExtensions, ensureCartApiExtension }
@@ -0,0 +1,44 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { cancelOrder } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const cancelOrderRequestObj = JSON.parse(
+    paymentObject.custom.fields.cancelOrderRequest,
+  )
+  if (
+    !cancelOrderRequestObj.order &&
+    paymentObject.custom.fields.createOrderResponse
+  ) {
+    const createOrderResponseObj = JSON.parse(
+      paymentObject.custom.fields.createOrderResponse,
+    )
+    cancelOrderRequestObj.order = {
+      pspReference: createOrderResponseObj.pspReference,
+      orderData: createOrderResponseObj.orderData,
+    }
+  }
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await cancelOrder(
+    adyenMerchantAccount,
+    cancelOrderRequestObj,
+  )
+  return {
+    actions: [
+      createAddInterfaceInteractionAction({
+        request,
+        response,
+        type: c.CTP_INTERACTION_TYPE_CANCEL_ORDER,
+      }),
+      createSetCustomFieldAction(
+        c.CTP_CUSTOM_FIELD_CANCEL_ORDER_RESPONSE,
+        response,
+      ),
+    ],
+  }
+}
+
+export default { execute }
@@ -5,10 +5,15 @@ import {
   createChangeTransactionStateAction,
   createChangeTransactionInteractionId,
 } from './payment-utils.js'
-import { cancelPayment } from '../service/web-component-service.js'
+import {
+  cancelPayment,
+  reversePayment,
+} from '../service/web-component-service.js'
+import config from '../config/config.js'
 import constants from '../config/constants.js'
 
-const { CTP_INTERACTION_TYPE_CANCEL_PAYMENT } = constants
+const { CTP_INTERACTION_TYPE_CANCEL_PAYMENT, CTP_INTERACTION_TYPE_REVERSAL } =
+  constants
 
 async function execute(paymentObject) {
   const authorizationTransaction =
@@ -23,16 +28,27 @@ async function execute(paymentObject) {
   const commercetoolsProjectKey =
     paymentObject.custom.fields.commercetoolsProjectKey
 
-  const { request, response } = await cancelPayment(
-    adyenMerchantAccount,
-    commercetoolsProjectKey,
-    cancelRequestObj,
-  )
+  // a reversal cancels the authorisation or refunds the payment if it was already captured,
+  // the CANCEL_OR_REFUND notification tells which of both happened
+  const { useReversalsForCancellation } = config.getModuleConfig()
+  const { request, response } = useReversalsForCancellation
+    ? await reversePayment(
+        adyenMerchantAccount,
+        commercetoolsProjectKey,
+        cancelRequestObj,
+      )
+    : await cancelPayment(
+        adyenMerchantAccount,
+        commercetoolsProjectKey,
+        cancelRequestObj,
+      )
 
   const addInterfaceInteractionAction = createAddInterfaceInteractionAction({
     request,
     response,
-    type: CTP_INTERACTION_TYPE_CANCEL_PAYMENT,
+    type: useReversalsForCancellation
+      ? CTP_INTERACTION_TYPE_REVERSAL
+      : CTP_INTERACTION_TYPE_CANCEL_PAYMENT,
   })
 
   const actions = [addInterfaceInteractionAction]
@@ -0,0 +1,43 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  getPaymentKeyUpdateAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { createOrder } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const createOrderRequestObj = JSON.parse(
+    paymentObject.custom.fields.createOrderRequest,
+  )
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await createOrder(
+    adyenMerchantAccount,
+    createOrderRequestObj,
+  )
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_CREATE_ORDER,
+    }),
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_CREATE_ORDER_RESPONSE,
+      response,
+    ),
+  ]
+
+  // the order reference is used by the notification module
+  // to find this payment on ORDER_OPENED and ORDER_CLOSED notifications
+  const updatePaymentAction = getPaymentKeyUpdateAction(
+    paymentObject.key,
+    request,
+  )
+  if (updatePaymentAction) actions.push(updatePaymentAction)
+
+  return {
+    actions,
+  }
+}
+
+export default { execute }
@@ -0,0 +1,57 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  getPaymentKeyUpdateAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { createPaymentLink } from '../service/web-component-service.js'
+import mappingCartDataUtils from './mapping-cart-data-utils.js'
+
+async function execute(paymentObject) {
+  let createPaymentLinkRequestObj = JSON.parse(
+    paymentObject.custom.fields.createPaymentLinkRequest,
+  )
+  const commercetoolsProjectKey =
+    paymentObject.custom.fields.commercetoolsProjectKey
+
+  createPaymentLinkRequestObj = await mappingCartDataUtils.getDataFromCart(
+    createPaymentLinkRequestObj,
+    paymentObject,
+    commercetoolsProjectKey,
+  )
+  paymentObject.custom.fields.createPaymentLinkRequest = JSON.stringify(
+    createPaymentLinkRequestObj,
+  )
+
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await createPaymentLink(
+    adyenMerchantAccount,
+    commercetoolsProjectKey,
+    createPaymentLinkRequestObj,
+  )
+
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_CREATE_PAYMENT_LINK,
+    }),
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_CREATE_PAYMENT_LINK_RESPONSE,
+      response,
+    ),
+  ]
+
+  // the AUTHORISATION notification of the link contains the link reference as merchantReference
+  const updatePaymentAction = getPaymentKeyUpdateAction(
+    paymentObject.key,
+    request,
+  )
+  if (updatePaymentAction) actions.push(updatePaymentAction)
+
+  return {
+    actions,
+  }
+}
+
+export default { execute }
@@ -0,0 +1,50 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  getAuthorizationTransactionSuccess,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { donate } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const donationRequestObj = JSON.parse(
+    paymentObject.custom.fields.donationRequest,
+  )
+  const paymentResponseObj = _getPaymentResponse(paymentObject)
+  if (!donationRequestObj.donationOriginalPspReference) {
+    donationRequestObj.donationOriginalPspReference =
+      paymentResponseObj.pspReference ||
+      getAuthorizationTransactionSuccess(paymentObject)?.interactionId
+  }
+  if (!donationRequestObj.donationToken)
+    donationRequestObj.donationToken = paymentResponseObj.donationToken
+
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await donate(
+    adyenMerchantAccount,
+    donationRequestObj,
+  )
+  return {
+    actions: [
+      createAddInterfaceInteractionAction({
+        request,
+        response,
+        type: c.CTP_INTERACTION_TYPE_DONATION,
+      }),
+      createSetCustomFieldAction(
+        c.CTP_CUSTOM_FIELD_DONATION_RESPONSE,
+        response,
+      ),
+    ],
+  }
+}
+
+function _getPaymentResponse(paymentObject) {
+  // for payments with additional actions (e.g. 3DS) the final result is in the payment details response
+  const paymentResponse =
+    paymentObject.custom.fields.submitAdditionalPaymentDetailsResponse ||
+    paymentObject.custom.fields.makePaymentResponse
+  return paymentResponse ? JSON.parse(paymentResponse) : {}
+}
+
+export default { execute }
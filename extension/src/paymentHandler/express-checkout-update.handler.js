@@ -0,0 +1,237 @@
+import ctpClientBuilder from '../ctp.js'
+import config from '../config/config.js'
+import c from '../config/constants.js'
+import lineItemsUtils from './line-items-utils.js'
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  getLatestInterfaceInteraction,
+} from './payment-utils.js'
+import { updatePaypalOrder } from '../service/web-component-service.js'
+
+/**
+ * Handles the shipping address and shipping method changes of the shopper inside the wallet
+ * (e.g. PayPal, Apple Pay or Google Pay express checkout): applies them to the cart of the payment,
+ * recalculates the amount and for PayPal updates the PayPal order.
+ */
+async function execute(paymentObject) {
+  const expressCheckoutUpdateRequestObj = JSON.parse(
+    paymentObject.custom.fields.expressCheckoutUpdateRequest,
+  )
+  const ctpConfig = config.getCtpConfig(
+    paymentObject.custom.fields.commercetoolsProjectKey,
+  )
+  const ctpClient = await ctpClientBuilder.get(ctpConfig)
+
+  const cart = await _updateCart(
+    ctpClient,
+    paymentObject,
+    expressCheckoutUpdateRequestObj,
+  )
+  const shippingMethods = await _fetchShippingMethodsForCart(
+    ctpClient,
+    ctpConfig.projectKey,
+    cart,
+  )
+
+  const { currencyCode, centAmount } = _getCartTotal(cart)
+  const response = {
+    amount: { currency: currencyCode, value: centAmount },
+    lineItems: await lineItemsUtils.createLineItems(paymentObject, cart, {
+      currencyCode,
+      centAmount,
+    }),
+    deliveryMethods: _createDeliveryMethods(
+      cart,
+      shippingMethods,
+      _getLocale(cart, paymentObject),
+    ),
+  }
+
+  const actions = []
+  if (_isPaypalPayment(paymentObject, expressCheckoutUpdateRequestObj)) {
+    const { request, response: paypalResponse } = await updatePaypalOrder(
+      paymentObject.custom.fields.adyenMerchantAccount,
+      {
+        ..._getPaypalOrderReference(
+          paymentObject,
+          expressCheckoutUpdateRequestObj,
+        ),
+        paymentData: _getPaypalPaymentData(
+          paymentObject,
+          expressCheckoutUpdateRequestObj,
+        ),
+        amount: response.amount,
+        deliveryMethods: response.deliveryMethods,
+      },
+    )
+    actions.push(
+      createAddInterfaceInteractionAction({
+        request,
+        response: paypalResponse,
+        type: c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+      }),
+    )
+    // the PayPal component must be updated with the new paymentData
+    response.paymentData = paypalResponse.paymentData
+    response.status = paypalResponse.status
+  }
+
+  actions.push(
+    createAddInterfaceInteractionAction({
+      request: expressCheckoutUpdateRequestObj,
+      response,
+      type: c.CTP_INTERACTION_TYPE_EXPRESS_CHECKOUT_UPDATE,
+    }),
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_EXPRESS_CHECKOUT_UPDATE_RESPONSE,
+      response,
+    ),
+  )
+  if (
+    paymentObject.amountPlanned.centAmount !== centAmount ||
+    paymentObject.amountPlanned.currencyCode !== currencyCode
+  )
+    actions.push({
+      action: 'changeAmountPlanned',
+      amount: { currencyCode, centAmount },
+    })
+
+  return { actions }
+}
+
+async function _updateCart(ctpClient, paymentObject, requestObj) {
+  const cartsUri = ctpClient.builder.carts.expand('shippingInfo.shippingMethod')
+  const { body } = await ctpClient.fetch(
+    cartsUri.where(`paymentInfo(payments(id="${paymentObject.id}"))`),
+  )
+  const cart = body.results[0]
+  if (!cart)
+    throw new Error(
+      `Cart of the payment with ID ${paymentObject.id} could not be found.`,
+    )
+
+  const updateActions = []
+  if (requestObj.shippingAddress)
+    updateActions.push({
+      action: 'setShippingAddress',
+      address: requestObj.shippingAddress,
+    })
+  if (requestObj.shippingMethodId)
+    updateActions.push({
+      action: 'setShippingMethod',
+      shippingMethod: {
+        typeId: 'shipping-method',
+        id: requestObj.shippingMethodId,
+      },
+    })
+  if (updateActions.length === 0) return cart
+
+  const { body: updatedCart } = await ctpClient.update(
+    ctpClient.builder.carts.expand('shippingInfo.shippingMethod'),
+    cart.id,
+    cart.version,
+    updateActions,
+  )
+  return updatedCart
+}
+
+async function _fetchShippingMethodsForCart(ctpClient, projectKey, cart) {
+  // shipping methods can only match a cart with a shipping address
+  if (!cart.shippingAddress?.country) return []
+  const { body } = await ctpClient.execute(
+    ctpClient.buildRequestOptions(
+      `/${projectKey}/shipping-methods/matching-cart?cartId=${cart.id}`,
+    ),
+  )
+  return body.results
+}
+
+function _getCartTotal(cart) {
+  return cart.taxedPrice?.totalGross ?? cart.totalPrice
+}
+
+function _createDeliveryMethods(cart, shippingMethods, locale) {
+  const selectedShippingMethodId = cart.shippingInfo?.shippingMethod?.id
+  return shippingMethods.map((shippingMethod) => {
+    const isSelected = shippingMethod.id === selectedShippingMethodId
+    return {
+      reference: shippingMethod.id,
+      description:
+        shippingMethod.localizedDescription?.[locale] ||
+        shippingMethod.localizedName?.[locale] ||
+        shippingMethod.name,
+      type: 'Shipping',
+      amount: {
+        currency: cart.totalPrice.currencyCode,
+        value: isSelected
+          ? cart.shippingInfo.price.centAmount
+          : _getShippingRate(cart, shippingMethod),
+      },
+      selected: isSelected,
+    }
+  })
+}
+
+function _getShippingRate(cart, shippingMethod) {
+  const shippingRate = shippingMethod.zoneRates
+    .flatMap((zoneRate) => zoneRate.shippingRates)
+    .find((rate) => rate.isMatching)
+  if (!shippingRate) return 0
+  if (
+    shippingRate.freeAbove &&
+    cart.totalPrice.centAmount >= shippingRate.freeAbove.centAmount
+  )
+    return 0
+  return shippingRate.price.centAmount
+}
+
+function _getLocale(cart, paymentObject) {
+  return paymentObject.custom.fields.languageCode || cart.locale
+}
+
+function _getMakePaymentResponse(paymentObject) {
+  const { makePaymentResponse } = paymentObject.custom.fields
+  return makePaymentResponse ? JSON.parse(makePaymentResponse) : {}
+}
+
+function _getCreateSessionResponse(paymentObject) {
+  const { createSessionResponse } = paymentObject.custom.fields
+  return createSessionResponse ? JSON.parse(createSessionResponse) : null
+}
+
+function _isPaypalPayment(paymentObject, requestObj) {
+  if (
+    _getMakePaymentResponse(paymentObject).action?.paymentMethodType ===
+    'paypal'
+  )
+    return true
+  // in the sessions flow the PayPal payment is made by the web component,
+  // only the paymentData passed from the PayPal component identifies it
+  return !!(_getCreateSessionResponse(paymentObject) && requestObj.paymentData)
+}
+
+function _getPaypalOrderReference(paymentObject, requestObj) {
+  const pspReference =
+    requestObj.pspReference ||
+    _getMakePaymentResponse(paymentObject).pspReference
+  if (pspReference) return { pspReference }
+  return { sessionId: _getCreateSessionResponse(paymentObject).id }
+}
+
+function _getPaypalPaymentData(paymentObject, requestObj) {
+  if (requestObj.paymentData) return requestObj.paymentData
+  // every update of the PayPal order returns a new paymentData
+  const lastUpdateOrderInteraction = getLatestInterfaceInteraction(
+    paymentObject.interfaceInteractions,
+    c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+  )
+  const lastPaymentData =
+    lastUpdateOrderInteraction &&
+    JSON.parse(lastUpdateOrderInteraction.fields.response).paymentData
+  return (
+    lastPaymentData || _getMakePaymentResponse(paymentObject).action.paymentData
+  )
+}
+
+export default { execute }
@@ -0,0 +1,32 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { getBalance } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const getBalanceRequestObj = JSON.parse(
+    paymentObject.custom.fields.getBalanceRequest,
+  )
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await getBalance(
+    adyenMerchantAccount,
+    getBalanceRequestObj,
+  )
+  return {
+    actions: [
+      createAddInterfaceInteractionAction({
+        request,
+        response,
+        type: c.CTP_INTERACTION_TYPE_GET_BALANCE,
+      }),
+      createSetCustomFieldAction(
+        c.CTP_CUSTOM_FIELD_GET_BALANCE_RESPONSE,
+        response,
+      ),
+    ],
+  }
+}
+
+export default { execute }
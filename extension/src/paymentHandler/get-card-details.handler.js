@@ -0,0 +1,70 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import config from '../config/config.js'
+import { getCardDetails } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const getCardDetailsRequestObj = JSON.parse(
+    paymentObject.custom.fields.getCardDetailsRequest,
+  )
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await getCardDetails(
+    adyenMerchantAccount,
+    getCardDetailsRequestObj,
+  )
+
+  const { surchargeRules } = config.getAdyenConfig(adyenMerchantAccount)
+  if (surchargeRules.length > 0 && response.brands)
+    response.surcharge = _calculateSurcharge(
+      surchargeRules,
+      response,
+      paymentObject.amountPlanned,
+    )
+
+  return {
+    actions: [
+      createAddInterfaceInteractionAction({
+        request,
+        response,
+        type: c.CTP_INTERACTION_TYPE_GET_CARD_DETAILS,
+      }),
+      createSetCustomFieldAction(
+        c.CTP_CUSTOM_FIELD_GET_CARD_DETAILS_RESPONSE,
+        response,
+      ),
+    ],
+  }
+}
+
+function _calculateSurcharge(surchargeRules, cardDetails, amountPlanned) {
+  const brand = cardDetails.brands.find(
+    (cardBrand) => cardBrand.supported !== false,
+  )?.type
+  const { fundingSource } = cardDetails
+  // the first matching rule wins, a rule without brand or fundingSource matches every card
+  const surchargeRule = surchargeRules.find(
+    (rule) =>
+      (!rule.brand || rule.brand === brand) &&
+      (!rule.fundingSource || rule.fundingSource === fundingSource),
+  )
+  let value = 0
+  if (surchargeRule)
+    value =
+      Math.round(
+        (amountPlanned.centAmount * (surchargeRule.percentage || 0)) / 100,
+      ) + (surchargeRule.fixedAmount || 0)
+
+  return {
+    amount: {
+      currency: amountPlanned.currencyCode,
+      value,
+    },
+    brand,
+    fundingSource,
+  }
+}
+
+export default { execute }
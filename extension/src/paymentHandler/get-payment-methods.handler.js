@@ -4,6 +4,7 @@ import {
 } from './payment-utils.js'
 import c from '../config/constants.js'
 import { getPaymentMethods } from '../service/web-component-service.js'
+import installmentsUtils from './installments-utils.js'
 
 async function execute(paymentObject) {
   const getPaymentMethodsRequestObj = JSON.parse(
@@ -14,6 +15,12 @@ async function execute(paymentObject) {
     adyenMerchantAccount,
     getPaymentMethodsRequestObj,
   )
+  // /paymentMethods does not accept installment options, they are returned
+  // together with the payment methods to be passed to the card component
+  const installmentOptions = installmentsUtils.getInstallmentOptions(
+    getPaymentMethodsRequestObj.countryCode,
+    getPaymentMethodsRequestObj.amount,
+  )
   return {
     actions: [
       createAddInterfaceInteractionAction({
@@ -23,7 +30,9 @@ async function execute(paymentObject) {
       }),
       createSetCustomFieldAction(
         c.CTP_CUSTOM_FIELD_GET_PAYMENT_METHODS_RESPONSE,
-        response,
+        installmentOptions && response.paymentMethods
+          ? { ...response, installmentOptions }
+          : response,
       ),
     ],
   }
@@ -0,0 +1,77 @@
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  createAddTransactionActionByResponse,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { getSessionResult } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const getSessionResultRequestObj = JSON.parse(
+    paymentObject.custom.fields.getSessionResultRequest,
+  )
+  if (
+    !getSessionResultRequestObj.sessionId &&
+    paymentObject.custom.fields.createSessionResponse
+  ) {
+    const createSessionResponseObj = JSON.parse(
+      paymentObject.custom.fields.createSessionResponse,
+    )
+    getSessionResultRequestObj.sessionId = createSessionResponseObj.id
+  }
+
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await getSessionResult(
+    adyenMerchantAccount,
+    getSessionResultRequestObj,
+  )
+
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_GET_SESSION_RESULT,
+    }),
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_GET_SESSION_RESULT_RESPONSE,
+      response,
+    ),
+  ]
+
+  // The session result comes from the storefront and is not confirmed by Adyen yet,
+  // so the transactions stay Pending until the AUTHORISATION notification sets
+  // their final state by their pspReference.
+  const sessionPayments = response.payments || []
+  sessionPayments
+    .filter(
+      (sessionPayment) =>
+        !_hasTransactionWithPspReference(
+          sessionPayment.pspReference,
+          paymentObject,
+        ),
+    )
+    .forEach((sessionPayment) => {
+      const addTransactionAction = createAddTransactionActionByResponse(
+        sessionPayment.amount?.value ?? paymentObject.amountPlanned.centAmount,
+        sessionPayment.amount?.currency ??
+          paymentObject.amountPlanned.currencyCode,
+        sessionPayment,
+      )
+      if (addTransactionAction) {
+        addTransactionAction.transaction.state = 'Pending'
+        actions.push(addTransactionAction)
+      }
+    })
+
+  return {
+    actions,
+  }
+}
+
+function _hasTransactionWithPspReference(pspReference, paymentObject) {
+  return paymentObject.transactions.some(
+    (transaction) => transaction.interactionId === pspReference,
+  )
+}
+
+export default { execute }
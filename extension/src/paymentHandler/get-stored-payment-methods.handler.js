@@ -0,0 +1,33 @@
+import { getStoredPaymentMethods } from '../service/web-component-service.js'
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+
+async function execute(paymentObject) {
+  const getStoredPaymentMethodsRequestObj = JSON.parse(
+    paymentObject.custom.fields.getStoredPaymentMethodsRequest,
+  )
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await getStoredPaymentMethods(
+    adyenMerchantAccount,
+    getStoredPaymentMethodsRequestObj,
+  )
+
+  return {
+    actions: [
+      createAddInterfaceInteractionAction({
+        request,
+        response,
+        type: c.CTP_INTERACTION_TYPE_GET_STORED_PAYMENT_METHODS,
+      }),
+      createSetCustomFieldAction(
+        c.CTP_CUSTOM_FIELD_GET_STORED_PAYMENT_METHODS_RESPONSE,
+        response,
+      ),
+    ],
+  }
+}
+
+export default { execute }
@@ -0,0 +1,59 @@
+import config from '../config/config.js'
+
+const DEFAULT_INSTALLMENT_PLAN = 'regular'
+
+/**
+ * Installment rules are configured per country and currency, optionally limited to an amount band:
+ * `minAmount` is inclusive, `maxAmount` is exclusive, both in minor units.
+ * If the country is unknown, no rule matches.
+ */
+function _getMatchingRules(countryCode, amount) {
+  return _getInstallmentRules().filter(
+    (rule) =>
+      rule.countryCode === countryCode &&
+      rule.currency === amount?.currency &&
+      (rule.minAmount === undefined || amount.value >= rule.minAmount) &&
+      (rule.maxAmount === undefined || amount.value < rule.maxAmount),
+  )
+}
+
+function _getInstallmentRules() {
+  return config.getModuleConfig().installmentRules || []
+}
+
+function hasInstallmentRules() {
+  return _getInstallmentRules().length > 0
+}
+
+function getCountryCode(paymentRequestObj) {
+  return (
+    paymentRequestObj.countryCode ?? paymentRequestObj.billingAddress?.country
+  )
+}
+
+function getInstallmentOptions(countryCode, amount) {
+  if (!countryCode) return undefined
+  const rule = _getMatchingRules(countryCode, amount)[0]
+  if (!rule) return undefined
+
+  const cardInstallmentOptions = { values: rule.values }
+  if (rule.plans) cardInstallmentOptions.plans = rule.plans
+  return { card: cardInstallmentOptions }
+}
+
+function isInstallmentPlanAllowed(countryCode, amount, installments) {
+  if (!countryCode) return false
+  const plan = installments.plan || DEFAULT_INSTALLMENT_PLAN
+  return _getMatchingRules(countryCode, amount).some(
+    (rule) =>
+      rule.values.includes(installments.value) &&
+      (rule.plans || [DEFAULT_INSTALLMENT_PLAN]).includes(plan),
+  )
+}
+
+export default {
+  hasInstallmentRules,
+  getCountryCode,
+  getInstallmentOptions,
+  isInstallmentPlanAllowed,
+}
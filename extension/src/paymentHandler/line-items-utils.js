@@ -5,39 +5,479 @@ import config from '../config/config.js'
 const ADYEN_PERCENTAGE_MINOR_UNIT = 10000
 const KLARNA_DEFAULT_LINE_ITEM_NAME = 'item'
 const KLARNA_DEFAULT_SHIPPING_METHOD_DESCRIPTION = 'shipping'
+const KLARNA_DEFAULT_DISCOUNT_DESCRIPTION = 'discount'
+const ROUNDING_LINE_ITEM_ID = 'rounding'
+// maximum page size of commercetools queries
+const PRODUCT_PROJECTIONS_PAGE_SIZE = 500
+const KLARNA_DEFAULT_ROUNDING_DESCRIPTION = 'rounding'
+const DISCOUNT_EXPANSIONS = [
+  'lineItems[*].discountedPricePerQuantity[*].discountedPrice.includedDiscounts[*].discount',
+  'customLineItems[*].discountedPricePerQuantity[*].discountedPrice.includedDiscounts[*].discount',
+  'shippingInfo.discountedPrice.includedDiscounts[*].discount',
+  'discountOnTotalPrice.includedDiscounts[*].discount',
+  'discountCodes[*].discountCode',
+]
 
-async function fetchMatchingCart(paymentObject, ctpProjectKey) {
+async function fetchMatchingCart(
+  paymentObject,
+  ctpProjectKey,
+  expansions = [],
+) {
   const ctpConfig = config.getCtpConfig(ctpProjectKey)
   const ctpClient = await ctpClientBuilder.get(ctpConfig)
   const { body } = await ctpClient.fetch(
-    ctpClient.builder.carts
-      .where(`paymentInfo(payments(id="${paymentObject.id}"))`)
-      .expand('shippingInfo.shippingMethod'),
+    _expand(
+      ctpClient.builder.carts.where(
+        `paymentInfo(payments(id="${paymentObject.id}"))`,
+      ),
+      expansions,
+    ),
   )
   return body.results[0]
 }
 
-function createLineItems(payment, cart) {
+async function fetchMatchingOrderOrCart(
+  paymentObject,
+  ctpProjectKey,
+  expansions = [],
+) {
+  const ctpConfig = config.getCtpConfig(ctpProjectKey)
+  const ctpClient = await ctpClientBuilder.get(ctpConfig)
+  const { body } = await ctpClient.fetch(
+    _expand(
+      ctpClient.builder.orders.where(
+        `paymentInfo(payments(id="${paymentObject.id}"))`,
+      ),
+      expansions,
+    ),
+  )
+  if (body.results[0]) return body.results[0]
+  return fetchMatchingCart(paymentObject, ctpProjectKey, expansions)
+}
+
+function _expand(requestBuilder, expansions) {
+  return ['shippingInfo.shippingMethod', ...expansions].reduce(
+    (builder, expansion) => builder.expand(expansion),
+    requestBuilder,
+  )
+}
+
+/**
+ * Creates Adyen line items for Charge and Refund transactions that list cart or order
+ * line items in the `lineItems` transaction custom field, e.g. `[{"id":"lineItemId","quantity":1}]`.
+ * The id can reference a line item, a custom line item or the shipping method of the cart or order.
+ * Throws an error for an unknown id or a quantity that is not positive or exceeds the quantity of the line item.
+ * @return object with transaction ID as key and the Adyen line items as value
+ */
+async function createLineItemsForTransactions(paymentObject, transactions) {
+  const transactionsWithLineItems = transactions.filter(
+    (transaction) => transaction.custom?.fields?.lineItems,
+  )
+  if (transactionsWithLineItems.length === 0) return {}
+
+  const cartOrOrder = await fetchMatchingOrderOrCart(
+    paymentObject,
+    paymentObject.custom.fields.commercetoolsProjectKey,
+  )
+  if (!cartOrOrder) return {}
+
+  const locales = _getLocales(cartOrOrder, paymentObject)
+  const productData = await _getProductData(paymentObject, cartOrOrder)
+  const transactionIdToLineItems = {}
+  transactionsWithLineItems.forEach((transaction) => {
+    const requestedLineItems = JSON.parse(transaction.custom.fields.lineItems)
+    const lineItems = requestedLineItems.map((requestedLineItem) =>
+      _createAdyenLineItemFromRequestedLineItem(
+        requestedLineItem,
+        cartOrOrder,
+        locales,
+        productData,
+      ),
+    )
+    transactionIdToLineItems[transaction.id] = _reconcileLineItems(
+      lineItems,
+      transaction.amount,
+    )
+  })
+  return transactionIdToLineItems
+}
+
+function _createAdyenLineItemFromRequestedLineItem(
+  { id, quantity },
+  cartOrOrder,
+  locales,
+  productData,
+) {
+  let adyenLineItem
+  let maxQuantity
+  const lineItem = cartOrOrder.lineItems?.find((item) => item.id === id)
+  const customLineItem = cartOrOrder.customLineItems?.find(
+    (item) => item.id === id,
+  )
+  const { shippingInfo } = cartOrOrder
+  if (lineItem) {
+    adyenLineItem = _createAdyenLineItemFromLineItem(
+      lineItem,
+      locales,
+      productData,
+    )
+    maxQuantity = lineItem.quantity
+  } else if (customLineItem) {
+    adyenLineItem = _createAdyenLineItemFromCustomLineItem(
+      customLineItem,
+      locales,
+    )
+    maxQuantity = customLineItem.quantity
+  } else if (shippingInfo?.shippingMethod?.id === id) {
+    adyenLineItem = _createShippingInfoAdyenLineItem(shippingInfo, locales)
+    maxQuantity = 1
+  } else
+    throw new Error(
+      `The line item with ID ${id} does not exist in the cart or order with ID ${cartOrOrder.id}.`,
+    )
+
+  if (quantity === undefined) return adyenLineItem
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity)
+    throw new Error(
+      `The quantity ${quantity} of the line item with ID ${id} must be between 1 and ${maxQuantity}.`,
+    )
+  adyenLineItem.quantity = quantity
+  return adyenLineItem
+}
+
+/**
+ * Creates Adyen line items from the cart, their sum is reconciled with the given amount,
+ * which is the planned amount of the payment by default.
+ */
+async function createLineItems(payment, cart, amount = payment.amountPlanned) {
+  const productData = await _getProductData(payment, cart)
+  const lineItems = _isAddDiscountLineItems()
+    ? _createLineItemsWithDiscountLineItems(payment, cart, productData)
+    : _createLineItemsWithoutDiscountLineItems(payment, cart, productData)
+  return _reconcileLineItems(lineItems, amount)
+}
+
+function _createLineItemsWithoutDiscountLineItems(payment, cart, productData) {
   const lineItems = []
   const locales = _getLocales(cart, payment)
 
   cart.lineItems?.forEach((item) => {
-    if (item.taxRate)
-      lineItems.push(_createAdyenLineItemFromLineItem(item, locales))
+    lineItems.push(_createAdyenLineItemFromLineItem(item, locales, productData))
   })
 
   cart.customLineItems?.forEach((item) => {
-    if (item.taxRate)
-      lineItems.push(_createAdyenLineItemFromCustomLineItem(item, locales))
+    lineItems.push(_createAdyenLineItemFromCustomLineItem(item, locales))
   })
 
   const { shippingInfo } = cart
-  if (shippingInfo && shippingInfo.taxRate)
+  if (shippingInfo)
     lineItems.push(_createShippingInfoAdyenLineItem(shippingInfo, locales))
 
   return lineItems
 }
 
+/**
+ * Per unit amounts are rounded, so the sum of the line items can differ some cents from the amount.
+ * The difference is added to the unit amounts of the line items in their order, first to every line item
+ * with not more units than cents left, then to some units of the next line item, which is split for that.
+ * With `addRoundingLineItem` the difference is added as a separate line item instead.
+ * Bigger differences, e.g. from gift cards or an outdated payment amount, are no rounding and are kept.
+ */
+function _reconcileLineItems(lineItems, amount) {
+  lineItems.forEach((lineItem) => {
+    lineItem.taxAmount =
+      lineItem.amountIncludingTax - lineItem.amountExcludingTax
+  })
+  if (amount?.centAmount === undefined) return lineItems
+
+  const maxRoundingDifference = _.sumBy(lineItems, 'quantity')
+  let difference =
+    amount.centAmount -
+    _.sumBy(lineItems, (item) => item.amountIncludingTax * item.quantity)
+  if (difference === 0 || Math.abs(difference) > maxRoundingDifference)
+    return lineItems
+
+  if (config.getModuleConfig().addRoundingLineItem === true) {
+    lineItems.push({
+      id: ROUNDING_LINE_ITEM_ID,
+      quantity: 1,
+      description: KLARNA_DEFAULT_ROUNDING_DESCRIPTION,
+      amountExcludingTax: difference,
+      amountIncludingTax: difference,
+      taxAmount: 0,
+      taxPercentage: 0,
+    })
+    return lineItems
+  }
+
+  const cent = Math.sign(difference)
+  const reconciledLineItems = lineItems.map((lineItem) => {
+    if (difference === 0 || lineItem.quantity > Math.abs(difference))
+      return lineItem
+    difference -= cent * lineItem.quantity
+    return _addToUnitAmounts(lineItem, cent)
+  })
+  if (difference === 0) return reconciledLineItems
+
+  const index = reconciledLineItems.findIndex(
+    (lineItem) => lineItem.quantity > Math.abs(difference),
+  )
+  const lineItem = reconciledLineItems[index]
+  reconciledLineItems.splice(
+    index,
+    1,
+    { ...lineItem, quantity: lineItem.quantity - Math.abs(difference) },
+    _addToUnitAmounts({ ...lineItem, quantity: Math.abs(difference) }, cent),
+  )
+  return reconciledLineItems
+}
+
+function _addToUnitAmounts(lineItem, cents) {
+  const reconciledLineItem = {
+    ...lineItem,
+    amountIncludingTax: lineItem.amountIncludingTax + cents,
+  }
+  if (lineItem.taxAmount === 0) reconciledLineItem.amountExcludingTax += cents
+  else reconciledLineItem.taxAmount += cents
+  return reconciledLineItem
+}
+
+function _isAddDiscountLineItems() {
+  return config.getModuleConfig().addDiscountLineItems === true
+}
+
+/**
+ * Cart expansions needed for the names of the discount line items.
+ */
+function getLineItemsExpansions() {
+  return _isAddDiscountLineItems() ? DISCOUNT_EXPANSIONS : []
+}
+
+/**
+ * Line items, custom line items and shipping are added with their prices before cart discounts.
+ * Every cart discount, from the discounted prices per quantity, the discounted shipping price and
+ * the discount on total price, is added as one line item with negative amounts.
+ * Like for the line items, the tax of the discounts is taken from the taxed prices if there are any,
+ * e.g. in tax mode `ExternalAmount`, otherwise it is calculated from the tax rate.
+ * The sum of all line items stays the cart total.
+ */
+function _createLineItemsWithDiscountLineItems(payment, cart, productData) {
+  const lineItems = []
+  const locales = _getLocales(cart, payment)
+  const discounts = new Map()
+
+  cart.lineItems?.forEach((item) => {
+    const itemDiscounts = _collectItemDiscounts(item, discounts)
+    lineItems.push({
+      ..._createAdyenLineItemFromLineItem(item, locales, productData),
+      ..._createTaxAmounts(
+        {
+          taxedPrice: _addDiscountsToTaxedPrice(item.taxedPrice, itemDiscounts),
+          taxRate: item.taxRate,
+        },
+        { centAmount: item.totalPrice.centAmount + itemDiscounts.total },
+        item.quantity,
+      ),
+    })
+  })
+
+  cart.customLineItems?.forEach((item) => {
+    const itemDiscounts = _collectItemDiscounts(item, discounts)
+    lineItems.push({
+      ..._createAdyenLineItemFromCustomLineItem(item, locales),
+      ..._createTaxAmounts(
+        {
+          taxedPrice: _addDiscountsToTaxedPrice(item.taxedPrice, itemDiscounts),
+          taxRate: item.taxRate,
+        },
+        { centAmount: item.totalPrice.centAmount + itemDiscounts.total },
+        item.quantity,
+      ),
+    })
+  })
+
+  const { shippingInfo } = cart
+  if (shippingInfo) {
+    const shippingPrice =
+      shippingInfo.discountedPrice?.value ?? shippingInfo.price
+    const shippingDiscounts = { total: 0, net: 0, gross: 0 }
+    shippingInfo.discountedPrice?.includedDiscounts.forEach(
+      ({ discount, discountedAmount }) => {
+        _addDiscount(
+          discounts,
+          discount,
+          _createDiscountTaxAmounts(
+            shippingInfo,
+            shippingPrice,
+            discountedAmount.centAmount,
+            shippingDiscounts,
+          ),
+        )
+      },
+    )
+    lineItems.push({
+      ..._createShippingInfoAdyenLineItem(shippingInfo, locales),
+      ..._createTaxAmounts(
+        {
+          taxedPrice: _addDiscountsToTaxedPrice(
+            shippingInfo.taxedPrice,
+            shippingDiscounts,
+          ),
+          taxRate: shippingInfo.taxRate,
+        },
+        { centAmount: shippingPrice.centAmount + shippingDiscounts.total },
+        1,
+      ),
+    })
+  }
+
+  _collectDiscountsOnTotalPrice(cart.discountOnTotalPrice, discounts)
+
+  const discountCodes = _getDiscountCodesByCartDiscountId(cart)
+  discounts.forEach(({ discount, net, gross }) => {
+    if (gross === 0) return
+    lineItems.push(
+      _createDiscountAdyenLineItem(
+        discount,
+        discountCodes[discount.id],
+        { net, gross },
+        locales,
+      ),
+    )
+  })
+
+  return lineItems
+}
+
+function _collectItemDiscounts(item, discounts) {
+  const itemDiscounts = { total: 0, net: 0, gross: 0 }
+  item.discountedPricePerQuantity?.forEach(({ quantity, discountedPrice }) => {
+    discountedPrice.includedDiscounts.forEach(
+      ({ discount, discountedAmount }) => {
+        _addDiscount(
+          discounts,
+          discount,
+          _createDiscountTaxAmounts(
+            item,
+            item.totalPrice,
+            discountedAmount.centAmount * quantity,
+            itemDiscounts,
+          ),
+        )
+      },
+    )
+  })
+  return itemDiscounts
+}
+
+/**
+ * The taxed price of an item is the price after its discounts, so the discount amount is split
+ * into net and gross in the same ratio as the taxed price to the discounted price of the item.
+ * The amounts are added to the discount totals of the item.
+ */
+function _createDiscountTaxAmounts(
+  { taxedPrice, taxRate },
+  discountedPrice,
+  amount,
+  itemDiscounts,
+) {
+  const taxAmounts =
+    taxedPrice && discountedPrice.centAmount !== 0
+      ? {
+          amountExcludingTax: Math.round(
+            (amount * taxedPrice.totalNet.centAmount) /
+              discountedPrice.centAmount,
+          ),
+          amountIncludingTax: Math.round(
+            (amount * taxedPrice.totalGross.centAmount) /
+              discountedPrice.centAmount,
+          ),
+        }
+      : _createTaxAmounts({ taxRate }, { centAmount: amount }, 1)
+  itemDiscounts.total += amount
+  itemDiscounts.net += taxAmounts.amountExcludingTax
+  itemDiscounts.gross += taxAmounts.amountIncludingTax
+  return taxAmounts
+}
+
+function _addDiscountsToTaxedPrice(taxedPrice, { net, gross }) {
+  if (!taxedPrice) return undefined
+  return {
+    totalNet: { centAmount: taxedPrice.totalNet.centAmount + net },
+    totalGross: { centAmount: taxedPrice.totalGross.centAmount + gross },
+  }
+}
+
+function _collectDiscountsOnTotalPrice(discountOnTotalPrice, discounts) {
+  if (!discountOnTotalPrice) return
+  const { discountedNetAmount, discountedGrossAmount } = discountOnTotalPrice
+  discountOnTotalPrice.includedDiscounts.forEach(
+    ({ discount, discountedAmount }) => {
+      const gross = discountedAmount.centAmount
+      // the tax of the discount on total price is only known for all included discounts together
+      const net =
+        discountedNetAmount && discountedGrossAmount?.centAmount
+          ? Math.round(
+              (gross * discountedNetAmount.centAmount) /
+                discountedGrossAmount.centAmount,
+            )
+          : gross
+      _addDiscount(discounts, discount, {
+        amountExcludingTax: net,
+        amountIncludingTax: gross,
+      })
+    },
+  )
+}
+
+function _addDiscount(
+  discounts,
+  discount,
+  { amountExcludingTax, amountIncludingTax },
+) {
+  const entry = discounts.get(discount.id) || { discount, net: 0, gross: 0 }
+  entry.net += amountExcludingTax
+  entry.gross += amountIncludingTax
+  discounts.set(discount.id, entry)
+}
+
+function _getDiscountCodesByCartDiscountId(cart) {
+  const discountCodes = {}
+  cart.discountCodes?.forEach(({ discountCode }) => {
+    discountCode.obj?.cartDiscounts.forEach((cartDiscount) => {
+      discountCodes[cartDiscount.id] = discountCode.obj
+    })
+  })
+  return discountCodes
+}
+
+function _createDiscountAdyenLineItem(
+  discount,
+  discountCode,
+  { net, gross },
+  locales,
+) {
+  const tax = gross - net
+  return {
+    id: discountCode?.code || discount.obj?.key || discount.id,
+    quantity: 1,
+    description: _localizeOrFallback(
+      discount.obj?.name,
+      locales,
+      _localizeOrFallback(
+        discountCode?.name,
+        locales,
+        KLARNA_DEFAULT_DISCOUNT_DESCRIPTION,
+      ),
+    ),
+    amountExcludingTax: -net,
+    amountIncludingTax: -gross,
+    taxAmount: -tax,
+    taxPercentage:
+      net > 0 ? Math.round((tax / net) * ADYEN_PERCENTAGE_MINOR_UNIT) : 0,
+  }
+}
+
 function _getLocales(cart, payment) {
   const locales = []
   let paymentLanguage = payment.custom && payment.custom.fields['languageCode']
@@ -46,7 +486,7 @@ function _getLocales(cart, payment) {
   return locales
 }
 
-function _createAdyenLineItemFromLineItem(ctpLineItem, locales) {
+function _createAdyenLineItemFromLineItem(ctpLineItem, locales, productData) {
   const quantity = ctpLineItem.quantity
   return {
     id: ctpLineItem.variant.sku,
@@ -56,17 +496,121 @@ function _createAdyenLineItemFromLineItem(ctpLineItem, locales) {
       locales,
       KLARNA_DEFAULT_LINE_ITEM_NAME,
     ),
-    amountExcludingTax: parseFloat(
-      (ctpLineItem.taxedPrice.totalNet.centAmount / quantity).toFixed(0),
-    ),
-    amountIncludingTax: parseFloat(
-      (ctpLineItem.taxedPrice.totalGross.centAmount / quantity).toFixed(0),
-    ),
-    taxAmount: parseFloat(
-      (ctpLineItem.taxedPrice.totalTax.centAmount / quantity).toFixed(0),
+    ..._createTaxAmounts(ctpLineItem, ctpLineItem.totalPrice, quantity),
+    ..._createProductDataFields(ctpLineItem, locales, productData),
+  }
+}
+
+/**
+ * Product data is configured per commercetools project with `lineItemProductData`.
+ * Categories are not part of the line items, so the products are fetched for them only if `itemCategory` is enabled.
+ */
+async function _getProductData(paymentObject, cartOrOrder) {
+  const { commercetoolsProjectKey } = paymentObject.custom.fields
+  const productDataConfig = config.getCtpConfig(
+    commercetoolsProjectKey,
+  ).lineItemProductData
+  if (!productDataConfig) return null
+
+  const productIdToCategory = {}
+  const productIds = _.uniq(
+    cartOrOrder.lineItems?.map((item) => item.productId),
+  )
+  if (productDataConfig.itemCategory && productIds.length > 0) {
+    const ctpClient = await ctpClientBuilder.get(
+      config.getCtpConfig(commercetoolsProjectKey),
+    )
+    const products = await _fetchProductProjections(ctpClient, productIds)
+    // products unpublished after the purchase are only available as staged projection
+    const foundProductIds = products.map((product) => product.id)
+    const unpublishedProductIds = _.difference(productIds, foundProductIds)
+    if (unpublishedProductIds.length > 0)
+      products.push(
+        ...(await _fetchProductProjections(
+          ctpClient,
+          unpublishedProductIds,
+          true,
+        )),
+      )
+    // a product can be assigned to several categories, the first one in the list of the product is used
+    products.forEach((product) => {
+      productIdToCategory[product.id] = product.categories[0]?.obj
+    })
+  }
+  return { config: productDataConfig, productIdToCategory }
+}
+
+async function _fetchProductProjections(ctpClient, productIds, staged = false) {
+  const responses = await Promise.all(
+    _.chunk(productIds, PRODUCT_PROJECTIONS_PAGE_SIZE).map((productIdsChunk) =>
+      ctpClient.fetch(
+        ctpClient.builder.productProjections
+          .where(`id in (${productIdsChunk.map((id) => `"${id}"`).join(',')})`)
+          .staged(staged)
+          .perPage(productIdsChunk.length)
+          .expand('categories[*]'),
+      ),
     ),
-    taxPercentage: ctpLineItem.taxRate.amount * ADYEN_PERCENTAGE_MINOR_UNIT,
+  )
+  return responses.flatMap(({ body }) => body.results)
+}
+
+function _createProductDataFields(ctpLineItem, locales, productData) {
+  if (!productData) return {}
+  const { variant } = ctpLineItem
+  const productDataConfig = productData.config
+  const fields = {}
+
+  if (productDataConfig.imageUrl && variant.images?.[0])
+    fields.imageUrl = variant.images[0].url
+  if (productDataConfig.productUrlTemplate)
+    fields.productUrl = _createProductUrl(
+      productDataConfig.productUrlTemplate,
+      ctpLineItem,
+      locales,
+    )
+  const category = productData.productIdToCategory[ctpLineItem.productId]
+  if (category)
+    fields.itemCategory = _localizeOrFallback(category.name, locales)
+
+  Object.entries(productDataConfig.attributes || {}).forEach(
+    ([adyenField, attributeName]) => {
+      const attribute = variant.attributes?.find(
+        ({ name }) => name === attributeName,
+      )
+      const value = _getAttributeValue(attribute?.value, locales)
+      if (value !== undefined) fields[adyenField] = value
+    },
+  )
+  return fields
+}
+
+/**
+ * Replaces the placeholders `{slug}`, `{sku}`, `{productId}`, `{productKey}` and `{locale}` of the template.
+ * Without payment language and cart locale, the locale is the one of the product slug.
+ */
+function _createProductUrl(template, ctpLineItem, locales) {
+  const slugs = ctpLineItem.productSlug || {}
+  const slugLocale =
+    locales.find((locale) => slugs[locale]) || Object.keys(slugs)[0]
+  const values = {
+    slug: slugs[slugLocale],
+    sku: ctpLineItem.variant.sku,
+    productId: ctpLineItem.productId,
+    productKey: ctpLineItem.productKey,
+    locale: locales[0] || slugLocale,
   }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    encodeURIComponent(values[name] ?? ''),
+  )
+}
+
+function _getAttributeValue(value, locales) {
+  if (value === undefined || value === null) return undefined
+  if (typeof value !== 'object') return `${value}`
+  // enum and localized enum attributes
+  if (value.label !== undefined) return _getAttributeValue(value.label, locales)
+  return _localizeOrFallback(value, locales)
 }
 
 function _createAdyenLineItemFromCustomLineItem(ctpLineItem, locales) {
@@ -79,16 +623,7 @@ function _createAdyenLineItemFromCustomLineItem(ctpLineItem, locales) {
       locales,
       KLARNA_DEFAULT_LINE_ITEM_NAME,
     ),
-    amountExcludingTax: parseFloat(
-      (ctpLineItem.taxedPrice.totalNet.centAmount / quantity).toFixed(0),
-    ),
-    amountIncludingTax: parseFloat(
-      (ctpLineItem.taxedPrice.totalGross.centAmount / quantity).toFixed(0),
-    ),
-    taxAmount: parseFloat(
-      (ctpLineItem.taxedPrice.totalTax.centAmount / quantity).toFixed(0),
-    ),
-    taxPercentage: ctpLineItem.taxRate.amount * ADYEN_PERCENTAGE_MINOR_UNIT,
+    ..._createTaxAmounts(ctpLineItem, ctpLineItem.totalPrice, quantity),
   }
 }
 
@@ -99,10 +634,46 @@ function _createShippingInfoAdyenLineItem(shippingInfo, locales) {
     description:
       _getShippingMethodDescription(shippingInfo, locales) ||
       KLARNA_DEFAULT_SHIPPING_METHOD_DESCRIPTION,
-    amountExcludingTax: shippingInfo.taxedPrice.totalNet.centAmount,
-    amountIncludingTax: shippingInfo.taxedPrice.totalGross.centAmount,
-    taxAmount: shippingInfo.taxedPrice.totalTax.centAmount,
-    taxPercentage: shippingInfo.taxRate.amount * ADYEN_PERCENTAGE_MINOR_UNIT,
+    ..._createTaxAmounts(
+      shippingInfo,
+      shippingInfo.discountedPrice?.value ?? shippingInfo.price,
+      1,
+    ),
+  }
+}
+
+/**
+ * Calculates the per unit amounts for every tax mode of the cart.
+ * Without taxed price, e.g. in tax mode `Disabled` or before the external tax was set,
+ * the tax is calculated from the tax rate if there is one, otherwise it is zero.
+ */
+function _createTaxAmounts({ taxedPrice, taxRate }, totalPrice, quantity) {
+  let totalNet
+  let totalGross
+  if (taxedPrice) {
+    totalNet = taxedPrice.totalNet.centAmount
+    totalGross = taxedPrice.totalGross.centAmount
+  } else if (taxRate?.includedInPrice) {
+    totalGross = totalPrice.centAmount
+    totalNet = Math.round(totalGross / (1 + taxRate.amount))
+  } else {
+    totalNet = totalPrice.centAmount
+    totalGross = Math.round(totalNet * (1 + (taxRate?.amount ?? 0)))
+  }
+  const totalTax = taxedPrice?.totalTax?.centAmount ?? totalGross - totalNet
+
+  let taxPercentage = 0
+  if (taxRate) taxPercentage = taxRate.amount * ADYEN_PERCENTAGE_MINOR_UNIT
+  else if (totalNet > 0)
+    taxPercentage = Math.round(
+      (totalTax / totalNet) * ADYEN_PERCENTAGE_MINOR_UNIT,
+    )
+
+  return {
+    amountExcludingTax: parseFloat((totalNet / quantity).toFixed(0)),
+    amountIncludingTax: parseFloat((totalGross / quantity).toFixed(0)),
+    taxAmount: parseFloat((totalTax / quantity).toFixed(0)),
+    taxPercentage,
   }
 }
 
@@ -127,4 +698,10 @@ function _localizeOrFallback(localizedString, locales, fallback) {
   return result
 }
 
-export default { fetchMatchingCart, createLineItems }
+export default {
+  fetchMatchingCart,
+  fetchMatchingOrderOrCart,
+  createLineItems,
+  createLineItemsForTransactions,
+  getLineItemsExpansions,
+}
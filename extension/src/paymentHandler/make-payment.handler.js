@@ -4,16 +4,27 @@ import {
   createSetMethodInfoMethodAction,
   createSetMethodInfoNameAction,
   createAddTransactionActionByResponse,
+  createSetThreeDS2ResultAction,
+  isAuthenticationOnlyRequest,
   getPaymentKeyUpdateAction,
+  getLatestInterfaceInteraction,
+  getLatestPaymentResponse,
+  isMakePaymentRetry,
 } from './payment-utils.js'
 import c from '../config/constants.js'
 import { makePayment } from '../service/web-component-service.js'
 import mappingCartDataUtils from './mapping-cart-data-utils.js'
+import splitsUtils from './splits-utils.js'
+import installmentsUtils from './installments-utils.js'
+import errorMessages from '../validator/error-messages.js'
 
 async function execute(paymentObject) {
-  let makePaymentRequestObj = JSON.parse(
-    paymentObject.custom.fields.makePaymentRequest,
-  )
+  // must be checked before the makePaymentRequest is extended with the cart data
+  const actions = isMakePaymentRetry(paymentObject)
+    ? _createArchivePreviousAttemptActions(paymentObject)
+    : []
+  const { makePaymentRequest } = paymentObject.custom.fields
+  let makePaymentRequestObj = JSON.parse(makePaymentRequest)
   const commercetoolsProjectKey =
     paymentObject.custom.fields.commercetoolsProjectKey
 
@@ -22,6 +33,22 @@ async function execute(paymentObject) {
     paymentObject,
     commercetoolsProjectKey,
   )
+  if (
+    makePaymentRequestObj.installments &&
+    installmentsUtils.hasInstallmentRules() &&
+    !installmentsUtils.isInstallmentPlanAllowed(
+      installmentsUtils.getCountryCode(makePaymentRequestObj),
+      makePaymentRequestObj.amount,
+      makePaymentRequestObj.installments,
+    )
+  )
+    throw new Error(errorMessages.MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED)
+  makePaymentRequestObj.splits =
+    makePaymentRequestObj.splits ??
+    (await splitsUtils.createSplits(
+      paymentObject,
+      makePaymentRequestObj.amount,
+    ))
   paymentObject.custom.fields.makePaymentRequest = JSON.stringify(
     makePaymentRequestObj,
   )
@@ -32,9 +59,10 @@ async function execute(paymentObject) {
     commercetoolsProjectKey,
     makePaymentRequestObj,
   )
-  const actions = [
+  actions.push(
     createAddInterfaceInteractionAction({
-      request,
+      // the unchanged makePaymentRequest is kept to recognize a retry with a new makePaymentRequest
+      request: { ...request, makePaymentRequest },
       response,
       type: c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
     }),
@@ -42,7 +70,7 @@ async function execute(paymentObject) {
       c.CTP_CUSTOM_FIELD_MAKE_PAYMENT_RESPONSE,
       response,
     ),
-  ]
+  )
 
   const requestBodyJson = JSON.parse(request.body)
   const paymentMethod = requestBodyJson?.paymentMethod?.type
@@ -58,10 +86,14 @@ async function execute(paymentObject) {
   )
   if (updatePaymentAction) actions.push(updatePaymentAction)
 
+  const setThreeDS2ResultAction = createSetThreeDS2ResultAction(response)
+  if (setThreeDS2ResultAction) actions.push(setThreeDS2ResultAction)
+
   const addTransactionAction = createAddTransactionActionByResponse(
     paymentObject.amountPlanned.centAmount,
     paymentObject.amountPlanned.currencyCode,
     response,
+    isAuthenticationOnlyRequest(makePaymentRequestObj),
   )
 
   if (addTransactionAction) actions.push(addTransactionAction)
@@ -71,4 +103,30 @@ async function execute(paymentObject) {
   }
 }
 
+function _createArchivePreviousAttemptActions(paymentObject) {
+  const previousMakePaymentInteraction = getLatestInterfaceInteraction(
+    paymentObject.interfaceInteractions,
+    c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  )
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request: JSON.parse(previousMakePaymentInteraction.fields.request),
+      response: getLatestPaymentResponse(paymentObject),
+      type: c.CTP_INTERACTION_TYPE_MAKE_PAYMENT_ATTEMPT,
+    }),
+  ]
+  // the fields of the previous attempt must not be mixed up with the new one,
+  // makePaymentResponse is overwritten with the response of the new attempt
+  const customFields = paymentObject.custom.fields
+  const previousAttemptFields = [
+    c.CTP_CUSTOM_FIELD_SUBMIT_ADDITIONAL_PAYMENT_DETAILS_REQUEST,
+    c.CTP_CUSTOM_FIELD_SUBMIT_ADDITIONAL_PAYMENT_DETAILS_RESPONSE,
+    c.CTP_CUSTOM_FIELD_THREE_DS2_RESULT,
+  ]
+  previousAttemptFields
+    .filter((name) => customFields[name])
+    .forEach((name) => actions.push({ action: 'setCustomField', name }))
+  return actions
+}
+
 export default { execute }
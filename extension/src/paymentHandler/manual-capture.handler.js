@@ -1,5 +1,5 @@
 import {
-  getChargeTransactionInitial,
+  listChargeTransactionsInit,
   getAuthorizationTransactionSuccess,
   createAddInterfaceInteractionAction,
   createChangeTransactionStateAction,
@@ -8,53 +8,74 @@ import {
 } from './payment-utils.js'
 import { manualCapture } from '../service/web-component-service.js'
 import constants from '../config/constants.js'
+import lineItemsUtils from './line-items-utils.js'
+import splitsUtils from './splits-utils.js'
 
 const { CTP_INTERACTION_TYPE_MANUAL_CAPTURE } = constants
 
 async function execute(paymentObject) {
-  const chargeInitialTransaction = getChargeTransactionInitial(paymentObject)
+  const chargeInitTransactions = listChargeTransactionsInit(paymentObject)
   const authorizationSuccessTransaction =
     getAuthorizationTransactionSuccess(paymentObject)
-  const manualCaptureRequestObj = {
-    modificationAmount: {
-      value: chargeInitialTransaction.amount.centAmount,
-      currency: chargeInitialTransaction.amount.currencyCode,
-    },
-    originalReference: authorizationSuccessTransaction.interactionId,
-    reference: chargeInitialTransaction.custom?.fields?.reference,
-  }
-  const idempotencyKey = getIdempotencyKey(chargeInitialTransaction)
   const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
   const commercetoolsProjectKey =
     paymentObject.custom.fields.commercetoolsProjectKey
-  const { request, response } = await manualCapture(
-    adyenMerchantAccount,
-    commercetoolsProjectKey,
-    idempotencyKey,
-    manualCaptureRequestObj,
+
+  const transactionIdToLineItems =
+    await lineItemsUtils.createLineItemsForTransactions(
+      paymentObject,
+      chargeInitTransactions,
+    )
+  const transactionIdToSplits = await splitsUtils.createSplitsForTransactions(
+    paymentObject,
+    chargeInitTransactions,
   )
 
-  const actions = [
-    createAddInterfaceInteractionAction({
-      request,
-      response,
-      type: CTP_INTERACTION_TYPE_MANUAL_CAPTURE,
+  const actions = []
+
+  await Promise.all(
+    chargeInitTransactions.map(async (chargeInitialTransaction) => {
+      const manualCaptureRequestObj = {
+        modificationAmount: {
+          value: chargeInitialTransaction.amount.centAmount,
+          currency: chargeInitialTransaction.amount.currencyCode,
+        },
+        originalReference: authorizationSuccessTransaction.interactionId,
+        reference: chargeInitialTransaction.custom?.fields?.reference,
+        lineItems: transactionIdToLineItems[chargeInitialTransaction.id],
+        splits: transactionIdToSplits[chargeInitialTransaction.id],
+      }
+      const idempotencyKey = getIdempotencyKey(chargeInitialTransaction)
+      const { request, response } = await manualCapture(
+        adyenMerchantAccount,
+        commercetoolsProjectKey,
+        idempotencyKey,
+        manualCaptureRequestObj,
+      )
+
+      actions.push(
+        createAddInterfaceInteractionAction({
+          request,
+          response,
+          type: CTP_INTERACTION_TYPE_MANUAL_CAPTURE,
+        }),
+      )
+      if (!response.errorCode && response.pspReference) {
+        actions.push(
+          createChangeTransactionStateAction(
+            chargeInitialTransaction.id,
+            'Pending',
+          ),
+        )
+        actions.push(
+          createChangeTransactionInteractionId(
+            chargeInitialTransaction.id,
+            response.pspReference,
+          ),
+        )
+      }
     }),
-  ]
-  if (!response.errorCode && response.pspReference) {
-    actions.push(
-      createChangeTransactionStateAction(
-        chargeInitialTransaction.id,
-        'Pending',
-      ),
-    )
-    actions.push(
-      createChangeTransactionInteractionId(
-        chargeInitialTransaction.id,
-        response.pspReference,
-      ),
-    )
-  }
+  )
 
   return {
     actions,
@@ -1,20 +1,39 @@
 import ctpClientBuilder from '../ctp.js'
 import config from '../config/config.js'
 import lineItemsUtils from './line-items-utils.js'
+import mappingRulesUtils from './mapping-rules-utils.js'
 
+/**
+ * The mapping rules of the `cartDataMapping` configuration of the commercetools project are applied first,
+ * so that they take precedence over the built-in mapping. With `replaceBuiltInMapping` only the rules are applied.
+ * Line items are added in both cases.
+ */
 async function getDataFromCart(requestObj, paymentObject, ctpProjectKey) {
   const ctpConfig = config.getCtpConfig(ctpProjectKey)
   const ctpClient = await ctpClientBuilder.get(ctpConfig)
   const ctpCart = await fetchMatchingCart(paymentObject, ctpClient)
   if (ctpCart) {
-    requestObj = _mapCartData(requestObj, paymentObject, ctpCart)
-
-    if (ctpCart.customerId) {
-      const customer = await fetchMatchingCustomer(ctpClient, ctpCart)
+    const customer = ctpCart.customerId
+      ? await fetchMatchingCustomer(ctpClient, ctpCart)
+      : undefined
+    const { cartDataMapping } = ctpConfig
+    if (cartDataMapping)
+      requestObj = mappingRulesUtils.applyMappingRules(
+        requestObj,
+        { cart: ctpCart, customer, payment: paymentObject },
+        cartDataMapping.rules,
+      )
+
+    if (!cartDataMapping?.replaceBuiltInMapping) {
+      requestObj = _mapCartData(requestObj, ctpCart)
       if (customer) {
         requestObj = _mapCustomerData(requestObj, customer)
       }
     }
+
+    requestObj.lineItems =
+      requestObj.lineItems ??
+      (await lineItemsUtils.createLineItems(paymentObject, ctpCart))
   }
 
   return requestObj
@@ -22,9 +41,14 @@ async function getDataFromCart(requestObj, paymentObject, ctpProjectKey) {
 
 async function fetchMatchingCart(paymentObject, ctpClient) {
   const { body } = await ctpClient.fetch(
-    ctpClient.builder.carts.where(
-      `paymentInfo(payments(id="${paymentObject.id}"))`,
-    ),
+    lineItemsUtils
+      .getLineItemsExpansions()
+      .reduce(
+        (builder, expansion) => builder.expand(expansion),
+        ctpClient.builder.carts.where(
+          `paymentInfo(payments(id="${paymentObject.id}"))`,
+        ),
+      ),
   )
 
   return body.results[0]
@@ -38,17 +62,13 @@ async function fetchMatchingCustomer(ctpClient, ctpCart) {
   return body.results[0]
 }
 
-function _mapCartData(requestObj, paymentObject, ctpCart) {
+function _mapCartData(requestObj, ctpCart) {
   requestObj = _mapBillingAddress(requestObj, ctpCart)
 
   requestObj.countryCode = requestObj.countryCode ?? ctpCart.country
   requestObj.shopperEmail = requestObj.shopperEmail ?? ctpCart.customerEmail
   requestObj.shopperLocale = requestObj.shopperLocale ?? ctpCart.locale
 
-  requestObj.lineItems =
-    requestObj.lineItems ??
-    lineItemsUtils.createLineItems(paymentObject, ctpCart)
-
   if (requestObj.paymentMethod?.type === 'scheme') {
     requestObj = _mapAdditionalData(requestObj, ctpCart)
   }
@@ -0,0 +1,61 @@
+import _ from 'lodash'
+import utils from '../utils.js'
+
+const logger = utils.getLogger()
+
+// the supported transform names are listed in CART_DATA_MAPPING_TRANSFORMS of the constants,
+// a transform returns undefined if the value can not be transformed
+const TRANSFORMS = {
+  uppercase: (value) => `${value}`.toUpperCase(),
+  lowercase: (value) => `${value}`.toLowerCase(),
+  trim: (value) => `${value}`.trim(),
+  digits: (value) => `${value}`.replace(/\D/g, ''),
+  string: (value) => `${value}`,
+  number: (value) => {
+    const number = Number(value)
+    return Number.isNaN(number) ? undefined : number
+  },
+  date: (value) => {
+    const date = new Date(value)
+    return Number.isNaN(date.getTime())
+      ? undefined
+      : date.toISOString().slice(0, 10)
+  },
+}
+
+/**
+ * Maps the cart, the customer and the payment to the Adyen request with declarative rules, e.g.
+ * `{"source": "cart.billingAddress.custom.fields.phone", "target": "telephoneNumber", "transform": ["trim"]}`.
+ * Paths are lodash paths, the source path starts with `cart`, `customer` or `payment`.
+ * Fields that are already in the request are not overridden and rules without source value are skipped.
+ * Rules whose value can not be transformed are skipped and logged.
+ */
+function applyMappingRules(
+  requestObj,
+  { cart, customer, payment },
+  rules = [],
+) {
+  const sources = { cart, customer, payment }
+  rules.forEach(({ source, target, transform }) => {
+    if (_.get(requestObj, target) !== undefined) return
+    const value = _.get(sources, source)
+    if (value === undefined || value === null) return
+    const transformedValue = _.castArray(transform || []).reduce(
+      (result, name) =>
+        result === undefined ? undefined : TRANSFORMS[name](result),
+      value,
+    )
+    if (transformedValue === undefined) {
+      // the value itself is not logged as it can contain personal data
+      logger.warn(
+        `Skipped the cart data mapping of [${source}] to [${target}], ` +
+          `the value can not be transformed with [${_.castArray(transform)}].`,
+      )
+      return
+    }
+    _.set(requestObj, target, transformedValue)
+  })
+  return requestObj
+}
+
+export default { applyMappingRules }
@@ -4,17 +4,33 @@ import makePaymentHandler from './make-payment.handler.js'
 import submitPaymentDetailsHandler from './submit-payment-details.handler.js'
 import manualCaptureHandler from './manual-capture.handler.js'
 import cancelHandler from './cancel-payment.handler.js'
+import technicalCancelHandler from './technical-cancel.handler.js'
 import refundHandler from './refund-payment.handler.js'
 import getPaymentMethodsHandler from './get-payment-methods.handler.js'
 import getCarbonOffsetCostsHandler from './get-carbon-offset-costs.handler.js'
 import amountUpdatesHandler from './amount-updates.handler.js'
 import disableStoredPaymentHandler from './disable-stored-payment.handler.js'
+import getStoredPaymentMethodsHandler from './get-stored-payment-methods.handler.js'
 import sessionRequestHandler from './sessions-request.handler.js'
+import getBalanceHandler from './get-balance.handler.js'
+import createOrderHandler from './create-order.handler.js'
+import cancelOrderHandler from './cancel-order.handler.js'
+import createPaymentLinkHandler from './create-payment-link.handler.js'
+import recurringPaymentHandler from './recurring-payment.handler.js'
+import donationHandler from './donation.handler.js'
+import getCardDetailsHandler from './get-card-details.handler.js'
+import getSessionResultHandler from './get-session-result.handler.js'
+import terminalPaymentHandler from './terminal-payment.handler.js'
+import expressCheckoutUpdateHandler from './express-checkout-update.handler.js'
+import reversalHandler from './reversal.handler.js'
 import {
   getChargeTransactionInitial,
+  getAuthorizationTransactionInit,
   getAuthorizationTransactionSuccess,
   getCancelAuthorizationTransactionInit,
   listRefundTransactionsInit,
+  isMakePaymentRetry,
+  isMakePaymentNetworkError,
 } from './payment-utils.js'
 import { isBasicAuthEnabled } from '../validator/authentication.js'
 import errorMessages from '../validator/error-messages.js'
@@ -74,6 +90,8 @@ function _getPaymentHandlers(paymentObject) {
 
   if (_isCancelPayment(paymentObject)) return [cancelHandler]
 
+  if (_isTechnicalCancel(paymentObject)) return [technicalCancelHandler]
+
   // custom field on payment is not a mandatory field.
   if (!paymentObject.custom) return []
 
@@ -87,14 +105,28 @@ function _getPaymentHandlers(paymentObject) {
     handlers.push(getPaymentMethodsHandler)
   }
 
-  if (customFields.makePaymentRequest && !customFields.makePaymentResponse) {
+  if (_isRecurringPayment(paymentObject)) handlers.push(recurringPaymentHandler)
+
+  const isRetry = isMakePaymentRetry(paymentObject)
+  if (
+    customFields.makePaymentRequest &&
+    (!customFields.makePaymentResponse || isRetry)
+  ) {
     handlers.push(makePaymentHandler)
   }
 
+  if (
+    customFields.terminalPaymentRequest &&
+    !customFields.terminalPaymentResponse
+  ) {
+    handlers.push(terminalPaymentHandler)
+  }
+
   if (
     customFields.makePaymentResponse &&
     customFields.submitAdditionalPaymentDetailsRequest &&
-    !customFields.submitAdditionalPaymentDetailsResponse
+    !customFields.submitAdditionalPaymentDetailsResponse &&
+    !isRetry
   )
     handlers.push(submitPaymentDetailsHandler)
 
@@ -105,6 +137,27 @@ function _getPaymentHandlers(paymentObject) {
     handlers.push(sessionRequestHandler)
   }
 
+  if (
+    customFields.getSessionResultRequest &&
+    !customFields.getSessionResultResponse
+  ) {
+    handlers.push(getSessionResultHandler)
+  }
+
+  if (
+    customFields.createPaymentLinkRequest &&
+    !customFields.createPaymentLinkResponse
+  ) {
+    handlers.push(createPaymentLinkHandler)
+  }
+
+  if (
+    customFields.expressCheckoutUpdateRequest &&
+    !customFields.expressCheckoutUpdateResponse
+  ) {
+    handlers.push(expressCheckoutUpdateHandler)
+  }
+
   if (
     customFields.getCarbonOffsetCostsRequest &&
     !customFields.getCarbonOffsetCostsResponse
@@ -119,6 +172,10 @@ function _getPaymentHandlers(paymentObject) {
     handlers.push(amountUpdatesHandler)
   }
 
+  if (customFields.reversalRequest && !customFields.reversalResponse) {
+    handlers.push(reversalHandler)
+  }
+
   if (
     getAuthorizationTransactionSuccess(paymentObject) &&
     getChargeTransactionInitial(paymentObject)
@@ -133,6 +190,36 @@ function _getPaymentHandlers(paymentObject) {
     handlers.push(disableStoredPaymentHandler)
   }
 
+  if (
+    customFields.getStoredPaymentMethodsRequest &&
+    !customFields.getStoredPaymentMethodsResponse
+  ) {
+    handlers.push(getStoredPaymentMethodsHandler)
+  }
+
+  if (
+    customFields.getCardDetailsRequest &&
+    !customFields.getCardDetailsResponse
+  ) {
+    handlers.push(getCardDetailsHandler)
+  }
+
+  if (customFields.getBalanceRequest && !customFields.getBalanceResponse) {
+    handlers.push(getBalanceHandler)
+  }
+
+  if (customFields.createOrderRequest && !customFields.createOrderResponse) {
+    handlers.push(createOrderHandler)
+  }
+
+  if (customFields.cancelOrderRequest && !customFields.cancelOrderResponse) {
+    handlers.push(cancelOrderHandler)
+  }
+
+  if (customFields.donationRequest && !customFields.donationResponse) {
+    handlers.push(donationHandler)
+  }
+
   return handlers
 }
 
@@ -143,8 +230,12 @@ function _validatePaymentRequest(paymentObject, authToken) {
       .validateMetadataFields()
       .validateRequestFields()
       .validateReference()
+      .validateMakePaymentAttempts()
+      .validateInstallments()
       .validateAmountPlanned()
       .validatePaymentPspReference()
+      .validateChargeAmount()
+      .validateTransactionSplits()
     if (paymentValidator.hasErrors()) return paymentValidator.getErrors()
   } else {
     paymentValidator.validateMetadataFields()
@@ -156,13 +247,28 @@ function _validatePaymentRequest(paymentObject, authToken) {
     paymentValidator
       .validateRequestFields()
       .validateReference()
+      .validateMakePaymentAttempts()
+      .validateInstallments()
       .validateAmountPlanned()
+      .validatePaymentPspReference()
+      .validateChargeAmount()
+      .validateTransactionSplits()
 
     if (paymentValidator.hasErrors()) return paymentValidator.getErrors()
   }
   return null
 }
 
+function _isRecurringPayment(paymentObject) {
+  const customFields = paymentObject.custom.fields
+  return (
+    getAuthorizationTransactionInit(paymentObject) &&
+    customFields.shopperReference &&
+    (customFields.storedPaymentMethodId ||
+      customFields.recurringDetailReference)
+  )
+}
+
 function _isCancelPayment(paymentObject) {
   return (
     getAuthorizationTransactionSuccess(paymentObject) &&
@@ -170,4 +276,12 @@ function _isCancelPayment(paymentObject) {
   )
 }
 
+function _isTechnicalCancel(paymentObject) {
+  return (
+    !getAuthorizationTransactionSuccess(paymentObject) &&
+    getCancelAuthorizationTransactionInit(paymentObject) &&
+    isMakePaymentNetworkError(paymentObject)
+  )
+}
+
 export default { handlePayment }
@@ -12,6 +12,44 @@ function getAuthorizationTransactionSuccess(paymentObject) {
   )
 }
 
+function getAuthorizedAmount(paymentObject) {
+  const authorizationTransaction =
+    getAuthorizationTransactionSuccess(paymentObject)
+  if (!authorizationTransaction?.amount) return null
+  // an amount update does not change the Authorization transaction,
+  // the authorised amount is the one of the latest successful AUTHORISATION_ADJUSTMENT
+  const latestAdjustment = (paymentObject.interfaceInteractions || [])
+    .filter(
+      (interaction) =>
+        interaction.fields.type === c.CTP_INTERACTION_TYPE_NOTIFICATION,
+    )
+    .map((interaction) => ({
+      createdAt: interaction.fields.createdAt,
+      notificationRequestItem: JSON.parse(interaction.fields.notification)
+        .NotificationRequestItem,
+    }))
+    .filter(
+      ({ notificationRequestItem }) =>
+        notificationRequestItem.eventCode === 'AUTHORISATION_ADJUSTMENT' &&
+        notificationRequestItem.success === 'true' &&
+        notificationRequestItem.originalReference ===
+          authorizationTransaction.interactionId,
+    )
+    .sort((a1, a2) => a1.createdAt.localeCompare(a2.createdAt))
+    .pop()
+  return latestAdjustment
+    ? latestAdjustment.notificationRequestItem.amount.value
+    : authorizationTransaction.amount.centAmount
+}
+
+function getAuthorizationTransactionInit(paymentObject) {
+  return getTransactionWithTypesAndStates(
+    paymentObject,
+    ['Authorization'],
+    ['Initial'],
+  )
+}
+
 function getCancelAuthorizationTransactionInit(paymentObject) {
   return getTransactionWithTypesAndStates(
     paymentObject,
@@ -119,7 +157,15 @@ function createAddTransactionAction({
   }
 }
 
-function createAddTransactionActionByResponse(amount, currencyCode, response) {
+function createAddTransactionActionByResponse(
+  amount,
+  currencyCode,
+  response,
+  isAuthenticationOnly = false,
+) {
+  // the result of a standalone 3DS2 authentication is not an authorisation,
+  // the payment is authorised later by a third party
+  if (isAuthenticationOnly) return null
   switch (response.resultCode) {
     case 'Authorised':
       return createAddTransactionAction({
@@ -142,6 +188,45 @@ function createAddTransactionActionByResponse(amount, currencyCode, response) {
   return null
 }
 
+function isAuthorizationOpen(paymentObject) {
+  if (!getAuthorizationTransactionSuccess(paymentObject)) return false
+  // the authorisation can not be adjusted anymore after it was captured or cancelled
+  return !getTransactionWithTypesAndStates(
+    paymentObject,
+    ['Charge', 'CancelAuthorization'],
+    ['Pending', 'Success'],
+  )
+}
+
+function createAmountUpdatesRequestActions(amountUpdatesRequestObj) {
+  return [
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_REQUEST,
+      amountUpdatesRequestObj,
+    ),
+    // removing the previous response triggers a new amount update request
+    {
+      action: 'setCustomField',
+      name: c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_RESPONSE,
+    },
+  ]
+}
+
+function isAuthenticationOnlyRequest(requestObj) {
+  return Boolean(
+    requestObj?.authenticationData?.authenticationOnly ||
+      requestObj?.threeDSAuthenticationOnly,
+  )
+}
+
+function createSetThreeDS2ResultAction(response) {
+  if (!response.threeDS2Result) return null
+  return createSetCustomFieldAction(
+    c.CTP_CUSTOM_FIELD_THREE_DS2_RESULT,
+    response.threeDS2Result,
+  )
+}
+
 function getChargeTransactionInitial(paymentObject) {
   return getTransactionWithTypesAndStates(
     paymentObject,
@@ -150,6 +235,23 @@ function getChargeTransactionInitial(paymentObject) {
   )
 }
 
+function listChargeTransactionsInit(paymentObject) {
+  return listTransactionsWithTypesAndStates(
+    paymentObject,
+    ['Charge'],
+    ['Initial'],
+  )
+}
+
+function calculateChargeTransactionsAmount(paymentObject) {
+  // failed captures do not reduce the amount left on the authorization
+  return listTransactionsWithTypesAndStates(
+    paymentObject,
+    ['Charge'],
+    ['Initial', 'Pending', 'Success'],
+  ).reduce((total, transaction) => total + transaction.amount.centAmount, 0)
+}
+
 function getChargeTransactionPending(paymentObject) {
   return getTransactionWithTypesAndStates(
     paymentObject,
@@ -173,6 +275,58 @@ function getLatestInterfaceInteraction(interfaceInteractions, type) {
     .pop()
 }
 
+function getLatestPaymentResponse(paymentObject) {
+  const customFields = paymentObject.custom.fields
+  return JSON.parse(
+    customFields.submitAdditionalPaymentDetailsResponse ||
+      customFields.makePaymentResponse,
+  )
+}
+
+function countMakePaymentAttempts(paymentObject) {
+  return (paymentObject.interfaceInteractions || []).filter(
+    (interaction) =>
+      interaction.fields.type === c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  ).length
+}
+
+function isMakePaymentRetry(paymentObject) {
+  const customFields = paymentObject.custom?.fields
+  if (!customFields?.makePaymentRequest || !customFields.makePaymentResponse)
+    return false
+  if (config.getModuleConfig().maxMakePaymentAttempts <= 1) return false
+
+  const { resultCode } = getLatestPaymentResponse(paymentObject)
+  if (resultCode && !['Refused', 'Error', 'Cancelled'].includes(resultCode))
+    return false
+
+  const makePaymentInteraction = getLatestInterfaceInteraction(
+    paymentObject.interfaceInteractions || [],
+    c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  )
+  if (!makePaymentInteraction) return false
+  // the request sent to Adyen differs from makePaymentRequest as the extension module changes it,
+  // hence the makePaymentRequest of the previous attempt is compared as it was set by the storefront
+  const { makePaymentRequest: previousMakePaymentRequest } = JSON.parse(
+    makePaymentInteraction.fields.request,
+  )
+  return (
+    previousMakePaymentRequest !== undefined &&
+    previousMakePaymentRequest !== customFields.makePaymentRequest
+  )
+}
+
+function isMakePaymentNetworkError(paymentObject) {
+  const makePaymentInteraction = getLatestInterfaceInteraction(
+    paymentObject.interfaceInteractions || [],
+    c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  )
+  if (!makePaymentInteraction) return false
+  // the serialized error of a timeout or a failed connection to Adyen, see callAdyen()
+  const { name } = JSON.parse(makePaymentInteraction.fields.response)
+  return name === 'FetchError' || name === 'AbortError'
+}
+
 function isValidJSON(jsonString) {
   if (typeof jsonString === 'undefined') return true
   try {
@@ -215,8 +369,12 @@ function getPaymentKeyUpdateAction(paymentKey, request) {
 
 export {
   getChargeTransactionInitial,
+  listChargeTransactionsInit,
+  calculateChargeTransactionsAmount,
   getChargeTransactionPending,
   getAuthorizationTransactionSuccess,
+  getAuthorizedAmount,
+  getAuthorizationTransactionInit,
   getChargeTransactionSuccess,
   getCancelAuthorizationTransactionInit,
   listRefundTransactionsInit,
@@ -226,9 +384,17 @@ export {
   createChangeTransactionInteractionId,
   createAddTransactionAction,
   createAddTransactionActionByResponse,
+  isAuthorizationOpen,
+  createAmountUpdatesRequestActions,
+  isAuthenticationOnlyRequest,
+  createSetThreeDS2ResultAction,
   createSetMethodInfoMethodAction,
   createSetMethodInfoNameAction,
   getLatestInterfaceInteraction,
+  getLatestPaymentResponse,
+  countMakePaymentAttempts,
+  isMakePaymentRetry,
+  isMakePaymentNetworkError,
   isValidJSON,
   isValidMetadata,
   getIdempotencyKey,
@@ -0,0 +1,110 @@
+import {
+  getAuthorizationTransactionInit,
+  createAddInterfaceInteractionAction,
+  createChangeTransactionStateAction,
+  createChangeTransactionInteractionId,
+  getPaymentKeyUpdateAction,
+} from './payment-utils.js'
+import { makeRecurringPayment } from '../service/web-component-service.js'
+import c from '../config/constants.js'
+
+const DEFAULT_RECURRING_PROCESSING_MODEL = 'Subscription'
+
+async function execute(paymentObject) {
+  const transaction = getAuthorizationTransactionInit(paymentObject)
+  const recurringPaymentRequestObj = _buildRecurringPaymentRequest(
+    paymentObject,
+    transaction,
+  )
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const commercetoolsProjectKey =
+    paymentObject.custom.fields.commercetoolsProjectKey
+  // the request is sent again on the next payment update after a network error,
+  // so it always needs an idempotency key to not charge the shopper twice
+  const idempotencyKey =
+    transaction.custom?.fields?.idempotencyKey || transaction.id
+
+  const { request, response } = await makeRecurringPayment(
+    adyenMerchantAccount,
+    commercetoolsProjectKey,
+    idempotencyKey,
+    recurringPaymentRequestObj,
+  )
+
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_RECURRING_PAYMENT,
+    }),
+  ]
+
+  const transactionState = _getTransactionState(response)
+  if (transactionState) {
+    actions.push(
+      createChangeTransactionStateAction(transaction.id, transactionState),
+    )
+    if (response.pspReference)
+      actions.push(
+        createChangeTransactionInteractionId(
+          transaction.id,
+          response.pspReference,
+        ),
+      )
+  }
+
+  // the AUTHORISATION notification contains the reference as merchantReference
+  const updatePaymentAction = getPaymentKeyUpdateAction(
+    paymentObject.key,
+    request,
+  )
+  if (updatePaymentAction) actions.push(updatePaymentAction)
+
+  return { actions }
+}
+
+function _buildRecurringPaymentRequest(paymentObject, transaction) {
+  const customFields = paymentObject.custom.fields
+  const paymentMethod = { type: 'scheme' }
+  if (customFields.storedPaymentMethodId)
+    paymentMethod.storedPaymentMethodId = customFields.storedPaymentMethodId
+  else
+    paymentMethod.recurringDetailReference =
+      customFields.recurringDetailReference
+
+  return {
+    amount: {
+      currency: transaction.amount.currencyCode,
+      value: transaction.amount.centAmount,
+    },
+    reference:
+      transaction.custom?.fields?.reference ||
+      paymentObject.key ||
+      transaction.id,
+    paymentMethod,
+    shopperReference: customFields.shopperReference,
+    shopperInteraction: 'ContAuth',
+    recurringProcessingModel:
+      customFields.recurringProcessingModel ||
+      DEFAULT_RECURRING_PROCESSING_MODEL,
+  }
+}
+
+function _getTransactionState(response) {
+  switch (response.resultCode) {
+    case 'Authorised':
+      return 'Success'
+    case 'Refused':
+    case 'Error':
+    case 'Cancelled':
+      return 'Failure'
+    case 'Received':
+    case 'Pending':
+      return 'Pending'
+  }
+  // Adyen rejected the request, e.g. because the token is unknown.
+  // On network errors the transaction stays Initial, so the request is sent again on the next payment update.
+  return response.errorCode ? 'Failure' : null
+}
+
+export default { execute }
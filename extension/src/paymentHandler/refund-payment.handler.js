@@ -8,6 +8,8 @@ import {
 } from './payment-utils.js'
 import { refund } from '../service/web-component-service.js'
 import constants from '../config/constants.js'
+import lineItemsUtils from './line-items-utils.js'
+import splitsUtils from './splits-utils.js'
 
 const { CTP_INTERACTION_TYPE_REFUND } = constants
 
@@ -19,6 +21,16 @@ async function execute(paymentObject) {
   const commercetoolsProjectKey =
     paymentObject.custom.fields.commercetoolsProjectKey
 
+  const transactionIdToLineItems =
+    await lineItemsUtils.createLineItemsForTransactions(
+      paymentObject,
+      refundInitTransactions,
+    )
+  const transactionIdToSplits = await splitsUtils.createSplitsForTransactions(
+    paymentObject,
+    refundInitTransactions,
+  )
+
   const actions = []
 
   await Promise.all(
@@ -31,6 +43,8 @@ async function execute(paymentObject) {
         originalReference: interactionId,
         reference:
           refundTransaction.custom?.fields?.reference || paymentObject.key,
+        lineItems: transactionIdToLineItems[refundTransaction.id],
+        splits: transactionIdToSplits[refundTransaction.id],
       }
 
       const idempotencyKey = getIdempotencyKey(refundTransaction)
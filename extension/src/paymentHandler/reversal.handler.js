@@ -0,0 +1,57 @@
+import {
+  getAuthorizationTransactionSuccess,
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  createAddTransactionAction,
+} from './payment-utils.js'
+import { reversePayment } from '../service/web-component-service.js'
+import c from '../config/constants.js'
+
+/**
+ * Reverses the payment without knowing whether it was captured: Adyen cancels the authorisation
+ * or refunds the payment. The pending CancelAuthorization transaction is resolved
+ * by the CANCEL_OR_REFUND notification.
+ */
+async function execute(paymentObject) {
+  const reversalRequestObj = JSON.parse(
+    paymentObject.custom.fields.reversalRequest,
+  )
+  const reversalRequest = {
+    originalReference:
+      reversalRequestObj.paymentPspReference ||
+      getAuthorizationTransactionSuccess(paymentObject).interactionId,
+    reference: reversalRequestObj.reference || paymentObject.key,
+  }
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const commercetoolsProjectKey =
+    paymentObject.custom.fields.commercetoolsProjectKey
+
+  const { request, response } = await reversePayment(
+    adyenMerchantAccount,
+    commercetoolsProjectKey,
+    reversalRequest,
+  )
+
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_REVERSAL,
+    }),
+    createSetCustomFieldAction(c.CTP_CUSTOM_FIELD_REVERSAL_RESPONSE, response),
+  ]
+  if (!response.errorCode && response.pspReference)
+    actions.push(
+      createAddTransactionAction({
+        type: 'CancelAuthorization',
+        state: 'Pending',
+        amount: paymentObject.amountPlanned.centAmount,
+        currency: paymentObject.amountPlanned.currencyCode,
+        interactionId: response.pspReference,
+      }),
+    )
+
+  return { actions }
+}
+
+export default { execute }
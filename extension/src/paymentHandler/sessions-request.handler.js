@@ -5,6 +5,8 @@ import {
 import c from '../config/constants.js'
 import { createSessionRequest } from '../service/web-component-service.js'
 import mappingCartDataUtils from './mapping-cart-data-utils.js'
+import installmentsUtils from './installments-utils.js'
+import splitsUtils from './splits-utils.js'
 
 async function execute(paymentObject) {
   let createSessionRequestObj = JSON.parse(
@@ -18,6 +20,19 @@ async function execute(paymentObject) {
     paymentObject,
     commercetoolsProjectKey,
   )
+  // the country is known only after it was mapped from the cart
+  createSessionRequestObj.installmentOptions =
+    createSessionRequestObj.installmentOptions ??
+    installmentsUtils.getInstallmentOptions(
+      createSessionRequestObj.countryCode,
+      createSessionRequestObj.amount,
+    )
+  createSessionRequestObj.splits =
+    createSessionRequestObj.splits ??
+    (await splitsUtils.createSplits(
+      paymentObject,
+      createSessionRequestObj.amount,
+    ))
   paymentObject.custom.fields.createSessionRequest = JSON.stringify(
     createSessionRequestObj,
   )
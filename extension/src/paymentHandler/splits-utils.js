@@ -0,0 +1,155 @@
+import config from '../config/config.js'
+import lineItemsUtils from './line-items-utils.js'
+
+const LINE_ITEM_CHANNEL_EXPANSIONS = [
+  'lineItems[*].supplyChannel',
+  'lineItems[*].distributionChannel',
+]
+
+function _getMarketplaceSplitsConfig(paymentObject) {
+  const { adyenMerchantAccount } = paymentObject.custom.fields
+  return config.getAdyenConfig(adyenMerchantAccount).marketplaceSplits
+}
+
+/**
+ * Creates Adyen splits of the given amount from the line items of the cart of the payment.
+ * Returns undefined if marketplace splits are not configured for the Adyen merchant account.
+ */
+async function createSplits(paymentObject, amount) {
+  const splitsConfig = _getMarketplaceSplitsConfig(paymentObject)
+  if (!splitsConfig || !amount) return undefined
+
+  const cart = await lineItemsUtils.fetchMatchingCart(
+    paymentObject,
+    paymentObject.custom.fields.commercetoolsProjectKey,
+    LINE_ITEM_CHANNEL_EXPANSIONS,
+  )
+  if (!cart) return undefined
+  return calculateSplits(cart, amount, splitsConfig)
+}
+
+/**
+ * Creates Adyen splits for Charge and Refund transactions. The splits in the `splits` transaction custom field
+ * are used as they are, for other transactions the splits are calculated from the line items of the order or cart.
+ * @return object with transaction ID as key and the Adyen splits as value
+ */
+async function createSplitsForTransactions(paymentObject, transactions) {
+  const transactionIdToSplits = {}
+  const transactionsWithoutSplits = []
+  transactions.forEach((transaction) => {
+    if (transaction.custom?.fields?.splits)
+      transactionIdToSplits[transaction.id] = JSON.parse(
+        transaction.custom.fields.splits,
+      )
+    else transactionsWithoutSplits.push(transaction)
+  })
+  const splitsConfig = _getMarketplaceSplitsConfig(paymentObject)
+  if (!splitsConfig || transactionsWithoutSplits.length === 0)
+    return transactionIdToSplits
+
+  const cartOrOrder = await lineItemsUtils.fetchMatchingOrderOrCart(
+    paymentObject,
+    paymentObject.custom.fields.commercetoolsProjectKey,
+    LINE_ITEM_CHANNEL_EXPANSIONS,
+  )
+  if (!cartOrOrder) return transactionIdToSplits
+
+  transactionsWithoutSplits.forEach((transaction) => {
+    transactionIdToSplits[transaction.id] = calculateSplits(
+      cartOrOrder,
+      {
+        currency: transaction.amount.currencyCode,
+        value: transaction.amount.centAmount,
+      },
+      splitsConfig,
+    )
+  })
+  return transactionIdToSplits
+}
+
+/**
+ * Every line item with a seller balance account is split between the seller and the commission of the platform.
+ * The split amounts are the shares of the line items in the total before the discount on the total price,
+ * so that the discount is spread over all line items and the shipping. If the amount differs from the cart total,
+ * e.g. for partial captures and refunds, the split amounts are reduced proportionally. The remainder
+ * (shipping, line items without seller, rounding) is booked with the `Default` split,
+ * so that the split amounts always add up to the amount.
+ */
+function calculateSplits(cartOrOrder, amount, splitsConfig) {
+  const total = cartOrOrder.taxedPrice?.totalGross ?? cartOrOrder.totalPrice
+  if (total.currencyCode !== amount.currency || total.centAmount === 0)
+    return undefined
+  const undiscountedTotal =
+    total.centAmount + _getDiscountOnTotalPriceAmount(cartOrOrder)
+
+  const splits = []
+  let commission = 0
+  cartOrOrder.lineItems?.forEach((lineItem) => {
+    const account = _getSplitField(lineItem, splitsConfig.balanceAccountField)
+    if (!account) return
+
+    const lineItemTotal = (
+      lineItem.taxedPrice?.totalGross ?? lineItem.totalPrice
+    ).centAmount
+    const lineItemAmount = Math.floor(
+      (lineItemTotal * amount.value) / undiscountedTotal,
+    )
+    const commissionPercentage = Number(
+      _getSplitField(lineItem, splitsConfig.commissionPercentageField) ??
+        splitsConfig.defaultCommissionPercentage ??
+        0,
+    )
+    const lineItemCommission = Math.round(
+      (lineItemAmount * commissionPercentage) / 100,
+    )
+    commission += lineItemCommission
+    splits.push({
+      amount: { value: lineItemAmount - lineItemCommission },
+      type: 'BalanceAccount',
+      account,
+      reference: lineItem.id,
+    })
+  })
+  if (splits.length === 0) return undefined
+
+  if (commission > 0)
+    splits.push({
+      amount: { value: commission },
+      type: 'Commission',
+      reference: 'commission',
+    })
+  const remainder =
+    amount.value - splits.reduce((sum, split) => sum + split.amount.value, 0)
+  if (remainder < 0)
+    throw new Error(
+      `The splits of the cart or order with ID ${cartOrOrder.id} exceed the amount ${amount.value}.`,
+    )
+  if (remainder > 0)
+    splits.push({
+      amount: { value: remainder },
+      type: 'Default',
+      reference: 'default',
+    })
+  return splits
+}
+
+function _getDiscountOnTotalPriceAmount(cartOrOrder) {
+  const { discountOnTotalPrice } = cartOrOrder
+  if (!discountOnTotalPrice) return 0
+  const discountedAmount = cartOrOrder.taxedPrice
+    ? discountOnTotalPrice.discountedGrossAmount
+    : discountOnTotalPrice.discountedAmount
+  return (discountedAmount ?? discountOnTotalPrice.discountedAmount).centAmount
+}
+
+function _getSplitField(lineItem, fieldName) {
+  if (!fieldName) return undefined
+  // the line item custom field overrides the custom field of its channel
+  return (
+    lineItem.custom?.fields?.[fieldName] ??
+    lineItem.supplyChannel?.obj?.custom?.fields?.[fieldName] ??
+    lineItem.distributionChannel?.obj?.custom?.fields?.[fieldName]
+  )
+}
+
+export default { createSplits, createSplitsForTransactions, calculateSplits }
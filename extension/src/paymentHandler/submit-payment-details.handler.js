@@ -4,6 +4,8 @@ import {
   createAddInterfaceInteractionAction,
   createSetCustomFieldAction,
   createAddTransactionActionByResponse,
+  createSetThreeDS2ResultAction,
+  isAuthenticationOnlyRequest,
   getPaymentKeyUpdateAction,
 } from './payment-utils.js'
 import c from '../config/constants.js'
@@ -25,6 +27,13 @@ async function execute(paymentObject) {
     submitAdditionalDetailsRequestObj.paymentData =
       makePaymentResponseObj.paymentData
   }
+  const isAuthenticationOnly = _isAuthenticationOnlyPayment(paymentObject)
+  // Adyen returns the threeDS2Result only if the details request is marked as authentication only as well
+  if (
+    isAuthenticationOnly &&
+    submitAdditionalDetailsRequestObj.threeDSAuthenticationOnly === undefined
+  )
+    submitAdditionalDetailsRequestObj.threeDSAuthenticationOnly = true
   if (_isNewRequest(submitAdditionalDetailsRequestObj, paymentObject)) {
     const { request, response } = await submitAdditionalPaymentDetails(
       adyenMerchantAccount,
@@ -43,6 +52,9 @@ async function execute(paymentObject) {
       ),
     )
 
+    const setThreeDS2ResultAction = createSetThreeDS2ResultAction(response)
+    if (setThreeDS2ResultAction) actions.push(setThreeDS2ResultAction)
+
     if (
       !_hasTransactionWithPspReference(response.pspReference, paymentObject)
     ) {
@@ -50,6 +62,7 @@ async function execute(paymentObject) {
         paymentObject.amountPlanned.centAmount,
         paymentObject.amountPlanned.currencyCode,
         response,
+        isAuthenticationOnly,
       )
 
       if (addTransactionAction) actions.push(addTransactionAction)
@@ -92,6 +105,14 @@ function _isNewRequest(
   return false
 }
 
+function _isAuthenticationOnlyPayment(paymentObject) {
+  const { makePaymentRequest } = paymentObject.custom.fields
+  return (
+    Boolean(makePaymentRequest) &&
+    isAuthenticationOnlyRequest(JSON.parse(makePaymentRequest))
+  )
+}
+
 function _hasTransactionWithPspReference(pspReference, paymentObject) {
   return paymentObject.transactions.some(
     (transaction) => transaction.interactionId === pspReference,
@@ -0,0 +1,64 @@
+import {
+  createAddInterfaceInteractionAction,
+  getCancelAuthorizationTransactionInit,
+  getLatestInterfaceInteraction,
+  createChangeTransactionStateAction,
+  createChangeTransactionInteractionId,
+} from './payment-utils.js'
+import { technicalCancel } from '../service/web-component-service.js'
+import constants from '../config/constants.js'
+
+const {
+  CTP_INTERACTION_TYPE_TECHNICAL_CANCEL,
+  CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+} = constants
+
+/**
+ * Cancels a payment whose makePayment request ended with a timeout or network error.
+ * Without a pspReference, Adyen identifies the payment by its merchant reference.
+ */
+async function execute(paymentObject) {
+  const makePaymentInteraction = getLatestInterfaceInteraction(
+    paymentObject.interfaceInteractions,
+    CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  )
+  const makePaymentRequestBody = JSON.parse(
+    JSON.parse(makePaymentInteraction.fields.request).body,
+  )
+  const technicalCancelRequestObj = {
+    paymentReference: makePaymentRequestBody.reference || paymentObject.key,
+    reference: paymentObject.key,
+  }
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const commercetoolsProjectKey =
+    paymentObject.custom.fields.commercetoolsProjectKey
+
+  const { request, response } = await technicalCancel(
+    adyenMerchantAccount,
+    commercetoolsProjectKey,
+    technicalCancelRequestObj,
+  )
+
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: CTP_INTERACTION_TYPE_TECHNICAL_CANCEL,
+    }),
+  ]
+  if (!response.errorCode && response.pspReference) {
+    const transactionId =
+      getCancelAuthorizationTransactionInit(paymentObject).id
+    actions.push(
+      createChangeTransactionStateAction(transactionId, 'Pending'),
+      createChangeTransactionInteractionId(
+        transactionId,
+        response.pspReference,
+      ),
+    )
+  }
+
+  return { actions }
+}
+
+export default { execute }
@@ -0,0 +1,123 @@
+import crypto from 'crypto'
+import {
+  createAddInterfaceInteractionAction,
+  createSetCustomFieldAction,
+  createAddTransactionAction,
+} from './payment-utils.js'
+import c from '../config/constants.js'
+import { makeTerminalPayment } from '../service/web-component-service.js'
+
+async function execute(paymentObject) {
+  const terminalPaymentRequestObj = JSON.parse(
+    paymentObject.custom.fields.terminalPaymentRequest,
+  )
+  _extendTerminalPaymentRequest(terminalPaymentRequestObj, paymentObject)
+
+  const adyenMerchantAccount = paymentObject.custom.fields.adyenMerchantAccount
+  const { request, response } = await makeTerminalPayment(
+    adyenMerchantAccount,
+    terminalPaymentRequestObj,
+  )
+  const actions = [
+    createAddInterfaceInteractionAction({
+      request,
+      response,
+      type: c.CTP_INTERACTION_TYPE_TERMINAL_PAYMENT,
+    }),
+    createSetCustomFieldAction(
+      c.CTP_CUSTOM_FIELD_TERMINAL_PAYMENT_RESPONSE,
+      response,
+    ),
+  ]
+
+  // the AUTHORISATION notification contains the sale transaction ID as merchantReference
+  const { TransactionID } =
+    terminalPaymentRequestObj.SaleToPOIRequest.PaymentRequest.SaleData
+      .SaleTransactionID
+  if (TransactionID !== paymentObject.key)
+    actions.push({ action: 'setKey', key: TransactionID })
+
+  const addTransactionAction = _createAddTransactionAction(
+    paymentObject,
+    response,
+  )
+  if (addTransactionAction) actions.push(addTransactionAction)
+
+  return { actions }
+}
+
+function _extendTerminalPaymentRequest(
+  terminalPaymentRequestObj,
+  paymentObject,
+) {
+  const { SaleToPOIRequest } = terminalPaymentRequestObj
+  SaleToPOIRequest.MessageHeader = {
+    ProtocolVersion: '3.0',
+    MessageClass: 'Service',
+    MessageCategory: 'Payment',
+    MessageType: 'Request',
+    // ServiceID must be unique per terminal and have max. 10 chars
+    ServiceID: crypto.randomBytes(5).toString('hex'),
+    ...SaleToPOIRequest.MessageHeader,
+  }
+
+  const { PaymentRequest } = SaleToPOIRequest
+  const { SaleData } = PaymentRequest
+  if (!SaleData.SaleTransactionID.TimeStamp)
+    SaleData.SaleTransactionID.TimeStamp = new Date().toISOString()
+  if (!SaleData.SaleToAcquirerData) {
+    const commercetoolsProjectKey =
+      paymentObject.custom.fields.commercetoolsProjectKey
+    SaleData.SaleToAcquirerData = `metadata.ctProjectKey=${encodeURIComponent(
+      commercetoolsProjectKey,
+    )}`
+  }
+
+  if (!PaymentRequest.PaymentTransaction) {
+    const {
+      currencyCode,
+      centAmount,
+      fractionDigits = 2,
+    } = paymentObject.amountPlanned
+    // Terminal API amounts are in major units, e.g. 10.99 instead of 1099
+    PaymentRequest.PaymentTransaction = {
+      AmountsReq: {
+        Currency: currencyCode,
+        RequestedAmount: centAmount / 10 ** fractionDigits,
+      },
+    }
+  }
+}
+
+function _createAddTransactionAction(paymentObject, response) {
+  const paymentResponse = response.SaleToPOIResponse?.PaymentResponse
+  // e.g. on network errors or when the terminal did not answer in time
+  if (!paymentResponse) return null
+
+  let state
+  if (paymentResponse.Response.Result === 'Success') state = 'Success'
+  else if (paymentResponse.Response.Result === 'Failure') state = 'Failure'
+  else return null
+
+  return createAddTransactionAction({
+    type: 'Authorization',
+    state,
+    amount: paymentObject.amountPlanned.centAmount,
+    currency: paymentObject.amountPlanned.currencyCode,
+    interactionId: _getPspReference(paymentResponse),
+  })
+}
+
+function _getPspReference(paymentResponse) {
+  // the transaction ID has the format "tenderReference.pspReference"
+  const transactionId = paymentResponse.POIData?.POITransactionID?.TransactionID
+  if (transactionId?.includes('.')) return transactionId.split('.')[1]
+  const additionalResponse = paymentResponse.Response.AdditionalResponse
+  if (additionalResponse)
+    return (
+      new URLSearchParams(additionalResponse).get('pspReference') || undefined
+    )
+  return undefined
+}
+
+export default { execute }
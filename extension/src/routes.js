@@ -1,8 +1,10 @@
 import healthController from './api/health/health.controller.js'
 import paymentController from './api/payment/payment.controller.js'
+import cartController from './api/cart/cart.controller.js'
 
 const routes = {
   '/': paymentController.processRequest,
+  '/cart': cartController.processRequest,
   '/health': healthController.processRequest,
 }
 
@@ -30,6 +30,27 @@ async function makePayment(
   )
 }
 
+async function makeRecurringPayment(
+  merchantAccount,
+  commercetoolsProjectKey,
+  idempotencyKey,
+  recurringPaymentRequestObj,
+) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  extendRequestObjWithMetadata(
+    recurringPaymentRequestObj,
+    commercetoolsProjectKey,
+  )
+  await extendRequestObjWithApplicationInfo(recurringPaymentRequestObj)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/payments`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    recurringPaymentRequestObj,
+    idempotencyKey && { 'Idempotency-Key': idempotencyKey },
+  )
+}
+
 function submitAdditionalPaymentDetails(
   merchantAccount,
   commercetoolsProjectKey,
@@ -70,6 +91,8 @@ function manualCapture(
     {
       amount: manualCaptureRequestObj.modificationAmount,
       reference: manualCaptureRequestObj?.reference,
+      lineItems: manualCaptureRequestObj?.lineItems,
+      splits: manualCaptureRequestObj?.splits,
     },
     idempotencyKey && { 'Idempotency-Key': idempotencyKey },
   )
@@ -91,6 +114,40 @@ function cancelPayment(
   )
 }
 
+function technicalCancel(
+  merchantAccount,
+  commercetoolsProjectKey,
+  technicalCancelRequestObj,
+) {
+  // without the pspReference, Adyen identifies the payment by the merchant reference of the payment request
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/cancels`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    {
+      paymentReference: technicalCancelRequestObj.paymentReference,
+      reference: technicalCancelRequestObj?.reference,
+    },
+  )
+}
+
+function reversePayment(
+  merchantAccount,
+  commercetoolsProjectKey,
+  reversalRequestObj,
+) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/payments/${reversalRequestObj.originalReference}/reversals`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    {
+      reference: reversalRequestObj?.reference,
+    },
+  )
+}
+
 function refund(
   merchantAccount,
   commercetoolsProjectKey,
@@ -105,6 +162,8 @@ function refund(
     {
       amount: refundRequestObj.modificationAmount,
       reference: refundRequestObj?.reference,
+      lineItems: refundRequestObj?.lineItems,
+      splits: refundRequestObj?.splits,
     },
     idempotencyKey && { 'Idempotency-Key': idempotencyKey },
   )
@@ -179,6 +238,129 @@ async function disableStoredPayment(
   return result
 }
 
+function getStoredPaymentMethods(
+  merchantAccount,
+  getStoredPaymentMethodsRequestObj,
+) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/storedPaymentMethods`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    getStoredPaymentMethodsRequestObj,
+    [],
+    'GET',
+  )
+}
+
+function getCardDetails(merchantAccount, getCardDetailsRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/cardDetails`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    getCardDetailsRequestObj,
+  )
+}
+
+function getBalance(merchantAccount, getBalanceRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/paymentMethods/balance`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    getBalanceRequestObj,
+  )
+}
+
+function createOrder(merchantAccount, createOrderRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/orders`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    createOrderRequestObj,
+  )
+}
+
+function cancelOrder(merchantAccount, cancelOrderRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/orders/cancel`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    cancelOrderRequestObj,
+  )
+}
+
+function donate(merchantAccount, donationRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/donations`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    donationRequestObj,
+  )
+}
+
+function updatePaypalOrder(merchantAccount, updatePaypalOrderRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/paypal/updateOrder`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    updatePaypalOrderRequestObj,
+  )
+}
+
+function makeTerminalPayment(merchantAccount, terminalPaymentRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  // Terminal API requests have no merchantAccount field,
+  // Adyen takes the merchant account from the terminal (POIID)
+  return callAdyen(
+    `${adyenCredentials.terminalApiBaseUrl}/sync`,
+    null,
+    adyenCredentials.apiKey,
+    terminalPaymentRequestObj,
+  )
+}
+
+async function createPaymentLink(
+  merchantAccount,
+  commercetoolsProjectKey,
+  createPaymentLinkRequestObj,
+) {
+  extendRequestObjWithMetadata(
+    createPaymentLinkRequestObj,
+    commercetoolsProjectKey,
+  )
+  await extendRequestObjWithApplicationInfo(createPaymentLinkRequestObj)
+  removeAddCommercetoolsLineItemsField(createPaymentLinkRequestObj)
+  // accountInfo is mapped from the commercetools customer for /payments and /sessions requests,
+  // but it is an unknown field for /paymentLinks requests
+  delete createPaymentLinkRequestObj.accountInfo
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/paymentLinks`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    createPaymentLinkRequestObj,
+  )
+}
+
+function getSessionResult(merchantAccount, getSessionResultRequestObj) {
+  const adyenCredentials = config.getAdyenConfig(merchantAccount)
+  const { sessionId, ...queryParams } = getSessionResultRequestObj
+  return callAdyen(
+    `${adyenCredentials.apiBaseUrl}/sessions/${sessionId}`,
+    merchantAccount,
+    adyenCredentials.apiKey,
+    queryParams,
+    [],
+    'GET',
+  )
+}
+
 async function extendRequestObjWithApplicationInfo(requestObj) {
   const packageJson = await utils.readAndParseJsonFile('package.json')
   requestObj.applicationInfo = {
@@ -261,7 +443,7 @@ async function fetchAsync(
     methodOverride,
   )
 
-  if (methodOverride === 'DELETE') {
+  if (_isRequestWithQueryParams(methodOverride)) {
     url += `?${request.body}`
     delete request.body
   }
@@ -298,7 +480,7 @@ function buildRequest(
 ) {
   // Note: ensure the merchantAccount is set with request, otherwise set
   // it with the value from adyenMerchantAccount payment custom field
-  if (!requestObj.merchantAccount)
+  if (adyenMerchantAccount && !requestObj.merchantAccount)
     requestObj.merchantAccount = adyenMerchantAccount
 
   const requestHeaders = {
@@ -307,7 +489,7 @@ function buildRequest(
     ...headers,
   }
 
-  if (methodOverride === 'DELETE') {
+  if (_isRequestWithQueryParams(methodOverride)) {
     return {
       method: methodOverride,
       headers: requestHeaders,
@@ -322,15 +504,33 @@ function buildRequest(
   }
 }
 
+function _isRequestWithQueryParams(method) {
+  // DELETE and GET requests send the request object as query parameters
+  return method === 'DELETE' || method === 'GET'
+}
+
 export {
   getPaymentMethods,
   makePayment,
+  makeRecurringPayment,
   submitAdditionalPaymentDetails,
   manualCapture,
   refund,
   cancelPayment,
+  technicalCancel,
+  reversePayment,
   getCarbonOffsetCosts,
   updateAmount,
   disableStoredPayment,
+  getStoredPaymentMethods,
   createSessionRequest,
+  getCardDetails,
+  getBalance,
+  createOrder,
+  cancelOrder,
+  createPaymentLink,
+  getSessionResult,
+  donate,
+  makeTerminalPayment,
+  updatePaypalOrder,
 }
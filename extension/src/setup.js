@@ -2,6 +2,7 @@ import config from './config/config.js'
 import ctpClientBuilder from './ctp.js'
 import utils from './utils.js'
 import { ensureResources } from './config/init/ensure-resources.js'
+import { ensureCartApiExtension } from './config/init/ensure-api-extensions.js'
 import { generateBasicAuthorizationHeaderValue } from './validator/authentication.js'
 
 const logger = utils.getLogger()
@@ -34,4 +35,22 @@ async function setupExtensionResources(apiExtensionBaseUrl) {
   )
 }
 
-export { setupExtensionResources }
+async function setupCartApiExtension(apiExtensionBaseUrl) {
+  const moduleConfig = config.getModuleConfig()
+  const ctpProjectKeys = config.getAllCtpProjectKeys()
+
+  await Promise.all(
+    ctpProjectKeys.map(async (ctpProjectKey) => {
+      const ctpConfig = config.getCtpConfig(ctpProjectKey)
+      const ctpClient = await ctpClientBuilder.get(ctpConfig)
+      await ensureCartApiExtension(
+        ctpClient,
+        ctpConfig.projectKey,
+        apiExtensionBaseUrl || moduleConfig.apiExtensionBaseUrl,
+        generateBasicAuthorizationHeaderValue(ctpConfig.projectKey),
+      )
+    }),
+  )
+}
+
+export { setupExtensionResources, setupCartApiExtension }
@@ -17,6 +17,8 @@ export default {
     'Required "reference" field is missing in createSessionReqeust.',
   MAKE_PAYMENT_REQUEST_MISSING_REFERENCE:
     'Required "reference" field is missing in makePaymentRequest.',
+  MAKE_PAYMENT_MAX_ATTEMPTS_REACHED:
+    'The maximum number of makePaymentRequest attempts for this payment has been reached.',
   MISSING_REQUIRED_FIELDS_CTP_PROJECT_KEY:
     'Required field "commercetoolsProjectKey" is missing or empty.',
   MISSING_REQUIRED_FIELDS_ADYEN_MERCHANT_ACCOUNT:
@@ -30,4 +32,42 @@ export default {
     'amountUpdatesRequest does not contain valid JSON.',
   AMOUNT_UPDATES_REQUEST_MISSING_PSP_REFERENCE:
     'Required "paymentPspReference" field is missing in amountUpdatesRequest.',
+  CHARGE_AMOUNT_EXCEEDS_AUTHORIZATION_AMOUNT:
+    'The total amount of Charge transactions exceeds the amount of the successful Authorization transaction.',
+  GET_BALANCE_REQUEST_INVALID_JSON:
+    'getBalanceRequest does not contain valid JSON.',
+  CREATE_ORDER_REQUEST_INVALID_JSON:
+    'createOrderRequest does not contain valid JSON.',
+  CANCEL_ORDER_REQUEST_INVALID_JSON:
+    'cancelOrderRequest does not contain valid JSON.',
+  CREATE_PAYMENT_LINK_REQUEST_INVALID_JSON:
+    'createPaymentLinkRequest does not contain valid JSON.',
+  CREATE_PAYMENT_LINK_REQUEST_MISSING_REFERENCE:
+    'Required "reference" field is missing in createPaymentLinkRequest.',
+  GET_SESSION_RESULT_REQUEST_INVALID_JSON:
+    'getSessionResultRequest does not contain valid JSON.',
+  GET_SESSION_RESULT_REQUEST_MISSING_SESSION_ID:
+    'Required "sessionId" field is missing in getSessionResultRequest and there is no createSessionResponse.',
+  GET_STORED_PAYMENT_METHODS_REQUEST_INVALID_JSON:
+    'getStoredPaymentMethodsRequest does not contain valid JSON.',
+  GET_CARD_DETAILS_REQUEST_INVALID_JSON:
+    'getCardDetailsRequest does not contain valid JSON.',
+  DONATION_REQUEST_INVALID_JSON: 'donationRequest does not contain valid JSON.',
+  TERMINAL_PAYMENT_REQUEST_INVALID_JSON:
+    'terminalPaymentRequest does not contain valid JSON.',
+  TERMINAL_PAYMENT_REQUEST_MISSING_REQUIRED_FIELDS:
+    'Required "POIID", "SaleID" or "TransactionID" field is missing in terminalPaymentRequest.',
+  EXPRESS_CHECKOUT_UPDATE_REQUEST_INVALID_JSON:
+    'expressCheckoutUpdateRequest does not contain valid JSON.',
+  MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED:
+    'The installments of makePaymentRequest are not allowed for the country, currency and amount.',
+  REVERSAL_REQUEST_INVALID_JSON: 'reversalRequest does not contain valid JSON.',
+  REVERSAL_REQUEST_MISSING_PSP_REFERENCE:
+    'reversalRequest does not contain "paymentPspReference" field and there is no successful authorization.',
+  TRANSACTION_LINE_ITEMS_INVALID_JSON:
+    'lineItems of the transaction does not contain valid JSON.',
+  TRANSACTION_SPLITS_INVALID_JSON:
+    'splits of the transaction does not contain valid JSON.',
+  TRANSACTION_SPLITS_AMOUNT_MISMATCH:
+    'The split amounts of the transaction do not add up to the transaction amount.',
 }
@@ -2,9 +2,18 @@ import {
   isValidMetadata,
   isValidJSON,
   getLatestInterfaceInteraction,
+  getAuthorizationTransactionSuccess,
+  getAuthorizedAmount,
+  listChargeTransactionsInit,
+  listRefundTransactionsInit,
+  calculateChargeTransactionsAmount,
+  countMakePaymentAttempts,
+  isMakePaymentRetry,
 } from '../paymentHandler/payment-utils.js'
+import installmentsUtils from '../paymentHandler/installments-utils.js'
 import errorMessages from './error-messages.js'
 import c from '../config/constants.js'
+import config from '../config/config.js'
 import {
   getStoredCredential,
   hasValidAuthorizationHeader,
@@ -60,13 +69,63 @@ function withPayment(paymentObject) {
       if (!isValidJSON(paymentObject.custom.fields.amountUpdatesRequest))
         errors.amountUpdatesRequest =
           errorMessages.AMOUNT_UPDATES_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.getBalanceRequest))
+        errors.getBalanceRequest =
+          errorMessages.GET_BALANCE_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.createOrderRequest))
+        errors.createOrderRequest =
+          errorMessages.CREATE_ORDER_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.cancelOrderRequest))
+        errors.cancelOrderRequest =
+          errorMessages.CANCEL_ORDER_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.createPaymentLinkRequest))
+        errors.createPaymentLinkRequest =
+          errorMessages.CREATE_PAYMENT_LINK_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.getSessionResultRequest))
+        errors.getSessionResultRequest =
+          errorMessages.GET_SESSION_RESULT_REQUEST_INVALID_JSON
+      if (
+        !isValidJSON(paymentObject.custom.fields.getStoredPaymentMethodsRequest)
+      )
+        errors.getStoredPaymentMethodsRequest =
+          errorMessages.GET_STORED_PAYMENT_METHODS_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.getCardDetailsRequest))
+        errors.getCardDetailsRequest =
+          errorMessages.GET_CARD_DETAILS_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.donationRequest))
+        errors.donationRequest = errorMessages.DONATION_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.terminalPaymentRequest))
+        errors.terminalPaymentRequest =
+          errorMessages.TERMINAL_PAYMENT_REQUEST_INVALID_JSON
+      if (
+        !isValidJSON(paymentObject.custom.fields.expressCheckoutUpdateRequest)
+      )
+        errors.expressCheckoutUpdateRequest =
+          errorMessages.EXPRESS_CHECKOUT_UPDATE_REQUEST_INVALID_JSON
+      if (!isValidJSON(paymentObject.custom.fields.reversalRequest))
+        errors.reversalRequest = errorMessages.REVERSAL_REQUEST_INVALID_JSON
+      if (
+        paymentObject.transactions?.some(
+          (transaction) => !isValidJSON(transaction.custom?.fields?.lineItems),
+        )
+      )
+        errors.transactionLineItems =
+          errorMessages.TRANSACTION_LINE_ITEMS_INVALID_JSON
+      if (
+        paymentObject.transactions?.some(
+          (transaction) => !isValidJSON(transaction.custom?.fields?.splits),
+        )
+      )
+        errors.transactionSplits = errorMessages.TRANSACTION_SPLITS_INVALID_JSON
       return this
     },
     validateReference() {
       if (
         !paymentObject.custom ||
         errors.createSessionRequest ||
-        errors.makePaymentRequest
+        errors.makePaymentRequest ||
+        errors.createPaymentLinkRequest ||
+        errors.terminalPaymentRequest
       )
         return this
 
@@ -84,7 +143,8 @@ function withPayment(paymentObject) {
 
       if (
         paymentObject.custom.fields.makePaymentRequest &&
-        !paymentObject.custom.fields.makePaymentResponse
+        (!paymentObject.custom.fields.makePaymentResponse ||
+          isMakePaymentRetry(paymentObject))
       ) {
         const makePaymentRequestObj = JSON.parse(
           paymentObject.custom.fields.makePaymentRequest,
@@ -94,9 +154,122 @@ function withPayment(paymentObject) {
             errorMessages.MAKE_PAYMENT_REQUEST_MISSING_REFERENCE
       }
 
+      if (
+        paymentObject.custom.fields.createPaymentLinkRequest &&
+        !paymentObject.custom.fields.createPaymentLinkResponse
+      ) {
+        const createPaymentLinkRequestObj = JSON.parse(
+          paymentObject.custom.fields.createPaymentLinkRequest,
+        )
+        if (!createPaymentLinkRequestObj.reference)
+          errors.missingReference =
+            errorMessages.CREATE_PAYMENT_LINK_REQUEST_MISSING_REFERENCE
+      }
+
+      if (
+        paymentObject.custom.fields.terminalPaymentRequest &&
+        !paymentObject.custom.fields.terminalPaymentResponse
+      ) {
+        const { SaleToPOIRequest } = JSON.parse(
+          paymentObject.custom.fields.terminalPaymentRequest,
+        )
+        const messageHeader = SaleToPOIRequest?.MessageHeader
+        const saleTransactionId =
+          SaleToPOIRequest?.PaymentRequest?.SaleData?.SaleTransactionID
+        if (
+          !messageHeader?.POIID ||
+          !messageHeader.SaleID ||
+          !saleTransactionId?.TransactionID
+        )
+          errors.missingReference =
+            errorMessages.TERMINAL_PAYMENT_REQUEST_MISSING_REQUIRED_FIELDS
+      }
+
+      if (
+        paymentObject.custom.fields.getSessionResultRequest &&
+        !paymentObject.custom.fields.getSessionResultResponse &&
+        !errors.getSessionResultRequest
+      ) {
+        const { sessionId } = JSON.parse(
+          paymentObject.custom.fields.getSessionResultRequest,
+        )
+        const { createSessionResponse } = paymentObject.custom.fields
+        const createSessionId =
+          createSessionResponse && isValidJSON(createSessionResponse)
+            ? JSON.parse(createSessionResponse).id
+            : undefined
+        if (!sessionId && !createSessionId)
+          errors.missingSessionId =
+            errorMessages.GET_SESSION_RESULT_REQUEST_MISSING_SESSION_ID
+      }
+
+      return this
+    },
+    validateMakePaymentAttempts() {
+      if (!paymentObject.custom || errors.makePaymentRequest) return this
+      if (
+        isMakePaymentRetry(paymentObject) &&
+        countMakePaymentAttempts(paymentObject) >=
+          config.getModuleConfig().maxMakePaymentAttempts
+      )
+        errors.makePaymentAttempts =
+          errorMessages.MAKE_PAYMENT_MAX_ATTEMPTS_REACHED
+      return this
+    },
+    validateInstallments() {
+      if (!paymentObject.custom || errors.makePaymentRequest) return this
+      const { makePaymentRequest, makePaymentResponse } =
+        paymentObject.custom.fields
+      if (
+        !makePaymentRequest ||
+        (makePaymentResponse && !isMakePaymentRetry(paymentObject)) ||
+        !installmentsUtils.hasInstallmentRules()
+      )
+        return this
+
+      const makePaymentRequestObj = JSON.parse(makePaymentRequest)
+      const countryCode = installmentsUtils.getCountryCode(
+        makePaymentRequestObj,
+      )
+      // without the country in the request, the installments are validated by the make payment handler
+      // once the country is mapped from the cart
+      if (
+        makePaymentRequestObj.installments &&
+        countryCode &&
+        !installmentsUtils.isInstallmentPlanAllowed(
+          countryCode,
+          makePaymentRequestObj.amount,
+          makePaymentRequestObj.installments,
+        )
+      )
+        errors.installments =
+          errorMessages.MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED
       return this
     },
     validateAmountPlanned() {
+      // amountPlanned follows the authorised amount after an amount update
+      const amountUpdatesInteraction = getLatestInterfaceInteraction(
+        paymentObject.interfaceInteractions,
+        c.CTP_INTERACTION_TYPE_AMOUNT_UPDATES,
+      )
+      if (
+        amountUpdatesInteraction &&
+        JSON.parse(JSON.parse(amountUpdatesInteraction.fields.request).body)
+          .amount?.value === paymentObject.amountPlanned.centAmount
+      )
+        return this
+      // an express checkout update changes amountPlanned to the new cart total,
+      // so the requests sent before it are compared with the updated amount
+      const expressCheckoutUpdateInteraction = getLatestInterfaceInteraction(
+        paymentObject.interfaceInteractions,
+        c.CTP_INTERACTION_TYPE_EXPRESS_CHECKOUT_UPDATE,
+      )
+      const getAmountSentBeforeExpressCheckoutUpdate = (interaction) =>
+        expressCheckoutUpdateInteraction &&
+        interaction.fields.createdAt <=
+          expressCheckoutUpdateInteraction.fields.createdAt
+          ? JSON.parse(expressCheckoutUpdateInteraction.fields.response).amount
+          : undefined
       let createSessionAmount
       let makePaymentAmount
       const createSessionRequestInterfaceInteraction =
@@ -111,9 +284,12 @@ function withPayment(paymentObject) {
         )
 
       if (createSessionRequestInterfaceInteraction)
-        createSessionAmount = JSON.parse(
-          createSessionRequestInterfaceInteraction.fields.request,
-        ).amount
+        createSessionAmount =
+          getAmountSentBeforeExpressCheckoutUpdate(
+            createSessionRequestInterfaceInteraction,
+          ) ??
+          JSON.parse(createSessionRequestInterfaceInteraction.fields.request)
+            .amount
       else {
         const createSessionRequestString =
           paymentObject.custom &&
@@ -123,10 +299,20 @@ function withPayment(paymentObject) {
           createSessionAmount = JSON.parse(createSessionRequestString).amount
       }
 
-      if (makePaymentRequestInterfaceInteraction)
-        makePaymentAmount = JSON.parse(
-          makePaymentRequestInterfaceInteraction.fields.request,
-        ).amount
+      // on a retry the makePaymentRequest field holds the new attempt, the
+      // latest interaction still holds the previous one
+      if (
+        makePaymentRequestInterfaceInteraction &&
+        !isMakePaymentRetry(paymentObject)
+      )
+        makePaymentAmount =
+          getAmountSentBeforeExpressCheckoutUpdate(
+            makePaymentRequestInterfaceInteraction,
+          ) ??
+          JSON.parse(
+            JSON.parse(makePaymentRequestInterfaceInteraction.fields.request)
+              .body,
+          ).amount
       else {
         const makePaymentRequestString =
           paymentObject.custom &&
@@ -177,6 +363,55 @@ function withPayment(paymentObject) {
           errors.missingPspReference =
             errorMessages.AMOUNT_UPDATES_REQUEST_MISSING_PSP_REFERENCE
       }
+      if (
+        paymentObject.custom.fields.reversalRequest &&
+        !paymentObject.custom.fields.reversalResponse &&
+        !errors.reversalRequest
+      ) {
+        const reversalRequestObj = JSON.parse(
+          paymentObject.custom.fields.reversalRequest,
+        )
+        if (
+          !reversalRequestObj.paymentPspReference &&
+          !getAuthorizationTransactionSuccess(paymentObject)
+        )
+          errors.missingReversalPspReference =
+            errorMessages.REVERSAL_REQUEST_MISSING_PSP_REFERENCE
+      }
+      return this
+    },
+    validateChargeAmount() {
+      const authorizedAmount = getAuthorizedAmount(paymentObject)
+      if (
+        authorizedAmount === null ||
+        listChargeTransactionsInit(paymentObject).length === 0
+      )
+        return this
+      if (calculateChargeTransactionsAmount(paymentObject) > authorizedAmount)
+        errors.chargeAmount =
+          errorMessages.CHARGE_AMOUNT_EXCEEDS_AUTHORIZATION_AMOUNT
+      return this
+    },
+    validateTransactionSplits() {
+      const transactionsWithSplits = [
+        ...listChargeTransactionsInit(paymentObject),
+        ...listRefundTransactionsInit(paymentObject),
+      ].filter(
+        (transaction) =>
+          transaction.custom?.fields?.splits &&
+          isValidJSON(transaction.custom.fields.splits),
+      )
+      const hasSplitsMismatch = transactionsWithSplits.some((transaction) => {
+        const splits = JSON.parse(transaction.custom.fields.splits)
+        return (
+          !Array.isArray(splits) ||
+          splits.reduce((sum, split) => sum + (split.amount?.value || 0), 0) !==
+            transaction.amount.centAmount
+        )
+      })
+      if (hasSplitsMismatch)
+        errors.transactionSplitsAmount =
+          errorMessages.TRANSACTION_SPLITS_AMOUNT_MISMATCH
       return this
     },
     hasErrors() {
@@ -0,0 +1,192 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import c from '../../src/config/constants.js'
+import config from '../../src/config/config.js'
+import { listExpiringAuthorizations } from '../../src/authorization-expiry.js'
+
+describe('authorization-expiry::listExpiringAuthorizations::', () => {
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+  const sandbox = sinon.createSandbox()
+
+  function _createPayment(id, expiresInDays, transactions = []) {
+    const authorizationExpiresAt = new Date()
+    authorizationExpiresAt.setUTCDate(
+      authorizationExpiresAt.getUTCDate() + expiresInDays,
+    )
+    return {
+      id,
+      version: 1,
+      key: `${id}-key`,
+      amountPlanned: {
+        currencyCode: 'EUR',
+        centAmount: 1000,
+      },
+      paymentMethodInfo: {
+        paymentInterface: c.CTP_ADYEN_INTEGRATION,
+      },
+      transactions: [
+        {
+          type: 'Authorization',
+          state: 'Success',
+          interactionId: `${id}-psp-reference`,
+          amount: {
+            currencyCode: 'EUR',
+            centAmount: 1000,
+          },
+          custom: {
+            type: { typeId: 'type', id: 'transaction-type-id' },
+            fields: {
+              authorizationExpiresAt: authorizationExpiresAt.toISOString(),
+            },
+          },
+        },
+        ...transactions,
+      ],
+    }
+  }
+
+  const expiringPayment = _createPayment('expiring', 1)
+  const payments = [
+    expiringPayment,
+    _createPayment('not-expiring', 5),
+    _createPayment('captured', 1, [{ type: 'Charge', state: 'Success' }]),
+  ]
+
+  let paymentsQuery
+
+  function _mockCtpEndpoints(paymentsToFetch) {
+    nock(ctpConfig.authUrl).post('/oauth/token').reply(200, {
+      access_token: 'xxx',
+      token_type: 'Bearer',
+      expires_in: 172800,
+      scope: 'manage_project:xxx',
+    })
+    nock(ctpConfig.apiUrl)
+      .get(`/${ctpConfig.projectKey}/payments`)
+      .query((query) => {
+        paymentsQuery = query
+        return true
+      })
+      .reply(200, {
+        results: paymentsToFetch,
+        count: paymentsToFetch.length,
+        offset: 0,
+        limit: 20,
+      })
+  }
+
+  beforeEach(() => {
+    sandbox
+      .stub(config, 'getAllCtpProjectKeys')
+      .returns([commercetoolsProjectKey])
+    _mockCtpEndpoints(payments)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+    nock.cleanAll()
+  })
+
+  it(
+    'when an open authorisation expires within the given days ' +
+      'then it should list it',
+    async () => {
+      const expiringAuthorizations = await listExpiringAuthorizations('2')
+
+      expect(expiringAuthorizations).to.eql([
+        {
+          commercetoolsProjectKey,
+          paymentId: 'expiring',
+          paymentKey: 'expiring-key',
+          pspReference: 'expiring-psp-reference',
+          amount: expiringPayment.amountPlanned,
+          authorizationExpiresAt:
+            expiringPayment.transactions[0].custom.fields
+              .authorizationExpiresAt,
+          extended: false,
+        },
+      ])
+      expect(paymentsQuery.where).to.contain(
+        'custom(fields(authorizationExpiresAt <= ',
+      )
+    },
+  )
+
+  it(
+    'when extend is true ' +
+      'then it should request an amount update with the same amount',
+    async () => {
+      let paymentUpdateBody
+      nock(ctpConfig.apiUrl)
+        .post(`/${ctpConfig.projectKey}/payments/expiring`, (body) => {
+          paymentUpdateBody = body
+          return true
+        })
+        .reply(200, expiringPayment)
+
+      const expiringAuthorizations = await listExpiringAuthorizations(
+        '2',
+        'true',
+      )
+
+      expect(expiringAuthorizations).to.have.lengthOf(1)
+      expect(expiringAuthorizations[0].extended).to.equal(true)
+      expect(paymentUpdateBody.actions[0].name).to.equal(
+        c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_REQUEST,
+      )
+      expect(JSON.parse(paymentUpdateBody.actions[0].value)).to.eql({
+        paymentPspReference: 'expiring-psp-reference',
+        amount: { currency: 'EUR', value: 1000 },
+        industryUsage: 'delayedCharge',
+        reference: 'expiring-key',
+      })
+      expect(paymentUpdateBody.actions[1]).to.eql({
+        action: 'setCustomField',
+        name: c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_RESPONSE,
+      })
+    },
+  )
+
+  it(
+    'when extend is true and the authorisation was adjusted ' +
+      'then it should request an amount update with the adjusted amount',
+    async () => {
+      const adjustedPayment = _createPayment('expiring', 1)
+      adjustedPayment.amountPlanned.centAmount = 2000
+      adjustedPayment.interfaceInteractions = [
+        {
+          fields: {
+            type: c.CTP_INTERACTION_TYPE_NOTIFICATION,
+            createdAt: '2024-01-01T00:00:00.000Z',
+            notification: JSON.stringify({
+              NotificationRequestItem: {
+                eventCode: 'AUTHORISATION_ADJUSTMENT',
+                success: 'true',
+                originalReference: 'expiring-psp-reference',
+                amount: { currency: 'EUR', value: 1500 },
+              },
+            }),
+          },
+        },
+      ]
+      nock.cleanAll()
+      _mockCtpEndpoints([adjustedPayment])
+      let paymentUpdateBody
+      nock(ctpConfig.apiUrl)
+        .post(`/${ctpConfig.projectKey}/payments/expiring`, (body) => {
+          paymentUpdateBody = body
+          return true
+        })
+        .reply(200, adjustedPayment)
+
+      await listExpiringAuthorizations('2', 'true')
+
+      expect(JSON.parse(paymentUpdateBody.actions[0].value).amount).to.eql({
+        currency: 'EUR',
+        value: 1500,
+      })
+    },
+  )
+})
@@ -0,0 +1,95 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import lodash from 'lodash'
+import c from '../../src/config/constants.js'
+import cancelOrderHandler from '../../src/paymentHandler/cancel-order.handler.js'
+import config from '../../src/config/config.js'
+
+const { cloneDeep } = lodash
+
+describe('cancel-order::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const createOrderResponse = {
+    pspReference: '8616178914061985',
+    resultCode: 'Success',
+    orderData: 'Ab02b4c0!BQABAgCxXvknCldOcRElkxY8Za7iyym4Wv8aDzyNwmj...',
+    reference: 'YOUR_ORDER_REFERENCE',
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 2500,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        createOrderResponse: JSON.stringify(createOrderResponse),
+        cancelOrderRequest: JSON.stringify({}),
+        adyenMerchantAccount,
+      },
+    },
+  }
+  const adyenCancelOrderResponse = {
+    pspReference: '8816178914079738',
+    resultCode: 'Received',
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'when cancelOrderRequest does not contain the order ' +
+      'then it should take the order from createOrderResponse',
+    async () => {
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .post('/orders/cancel')
+        .reply(200, adyenCancelOrderResponse)
+
+      const { actions } = await cancelOrderHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(actions).to.have.lengthOf(2)
+      const request = JSON.parse(actions[0].fields.request)
+      expect(JSON.parse(request.body).order).to.deep.equal({
+        pspReference: createOrderResponse.pspReference,
+        orderData: createOrderResponse.orderData,
+      })
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_CANCEL_ORDER,
+      )
+      expect(actions[1]).to.deep.equal({
+        action: 'setCustomField',
+        name: c.CTP_CUSTOM_FIELD_CANCEL_ORDER_RESPONSE,
+        value: JSON.stringify(adyenCancelOrderResponse),
+      })
+    },
+  )
+
+  it('when cancelOrderRequest contains the order then it should send it unchanged', async () => {
+    const order = { pspReference: 'OTHER_PSP_REFERENCE', orderData: 'xyz' }
+    const paymentObjectClone = cloneDeep(paymentObject)
+    paymentObjectClone.custom.fields.cancelOrderRequest = JSON.stringify({
+      order,
+    })
+    nock(`${adyenCredentials.apiBaseUrl}`)
+      .post('/orders/cancel')
+      .reply(200, adyenCancelOrderResponse)
+
+    const { actions } = await cancelOrderHandler.execute(paymentObjectClone)
+
+    const request = JSON.parse(actions[0].fields.request)
+    expect(JSON.parse(request.body).order).to.deep.equal(order)
+  })
+})
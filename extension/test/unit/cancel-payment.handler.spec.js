@@ -1,13 +1,15 @@
 import nock from 'nock'
 import _ from 'lodash'
 import { expect } from 'chai'
+import sinon from 'sinon'
 import config from '../../src/config/config.js'
 import cancelPaymentHandler from '../../src/paymentHandler/cancel-payment.handler.js'
 import utils from '../../src/utils.js'
 
 import constants from '../../src/config/constants.js'
 
-const { CTP_INTERACTION_TYPE_CANCEL_PAYMENT } = constants
+const { CTP_INTERACTION_TYPE_CANCEL_PAYMENT, CTP_INTERACTION_TYPE_REVERSAL } =
+  constants
 
 const { execute } = cancelPaymentHandler
 
@@ -43,7 +45,10 @@ describe('cancel-payment::execute', () => {
     scope = nock(`${adyenConfig.apiBaseUrl}/payments/8835513921644842/`)
   })
 
+  const sandbox = sinon.createSandbox()
+
   afterEach(() => {
+    sandbox.restore()
     nock.cleanAll()
   })
 
@@ -94,4 +99,34 @@ describe('cancel-payment::execute', () => {
       })
     },
   )
+
+  it(
+    'given "useReversalsForCancellation" is enabled ' +
+      'when "/reversals" request to Adyen is received successfully ' +
+      'then it should send the reversal instead of the cancel',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        useReversalsForCancellation: true,
+      })
+      scope.post('/reversals').reply(201, cancelPaymentResponse)
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.transactions.push(cancelPaymentTransaction)
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+
+      const { actions } = await execute(ctpPaymentClone)
+
+      expect(scope.isDone()).to.equal(true)
+      const addInterfaceInteraction = actions.find(
+        (a) => a.action === 'addInterfaceInteraction',
+      )
+      expect(addInterfaceInteraction.fields.type).to.equal(
+        CTP_INTERACTION_TYPE_REVERSAL,
+      )
+      const changeTransactionState = actions.find(
+        (a) => a.action === 'changeTransactionState',
+      )
+      expect(changeTransactionState.state).to.equal('Pending')
+    },
+  )
 })
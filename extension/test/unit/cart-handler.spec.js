@@ -0,0 +1,165 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import c from '../../src/config/constants.js'
+import cartHandler from '../../src/cartHandler/cart-handler.js'
+import config from '../../src/config/config.js'
+
+describe('cart-handler::handleCart::', () => {
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+  const paymentId = 'paymentId'
+  const cartObject = {
+    id: 'cartId',
+    totalPrice: {
+      currencyCode: 'EUR',
+      centAmount: 1500,
+    },
+    paymentInfo: {
+      payments: [{ typeId: 'payment', id: paymentId }],
+    },
+  }
+  let paymentObject
+
+  const sandbox = sinon.createSandbox()
+
+  beforeEach(() => {
+    const moduleConfig = config.getModuleConfig()
+    sandbox
+      .stub(config, 'getModuleConfig')
+      .returns({ ...moduleConfig, automaticAmountUpdates: true })
+    paymentObject = {
+      id: paymentId,
+      version: 3,
+      key: 'YOUR_REFERENCE',
+      amountPlanned: {
+        currencyCode: 'EUR',
+        centAmount: 1000,
+      },
+      paymentMethodInfo: {
+        paymentInterface: c.CTP_ADYEN_INTEGRATION,
+      },
+      transactions: [
+        {
+          type: 'Authorization',
+          state: 'Success',
+          interactionId: 'AUTHORISATION_PSP_REFERENCE',
+        },
+      ],
+      interfaceInteractions: [],
+      custom: {
+        fields: {
+          makePaymentRequest: JSON.stringify({
+            amount: { currency: 'EUR', value: 1000 },
+            additionalData: { authorisationType: 'PreAuth' },
+          }),
+        },
+      },
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+    nock.cleanAll()
+  })
+
+  function _mockCtpPaymentEndpoints() {
+    nock(ctpConfig.authUrl).post('/oauth/token').reply(200, {
+      access_token: 'xxx',
+      token_type: 'Bearer',
+      expires_in: 172800,
+      scope: 'manage_project:xxx',
+    })
+    let paymentUpdateBody
+    nock(ctpConfig.apiUrl)
+      .get(`/${ctpConfig.projectKey}/payments/${paymentId}`)
+      .reply(200, paymentObject)
+      .post(`/${ctpConfig.projectKey}/payments/${paymentId}`, (body) => {
+        paymentUpdateBody = body
+        return true
+      })
+      .reply(200, paymentObject)
+    return () => paymentUpdateBody
+  }
+
+  it(
+    'when the cart total differs from the pre-authorised amount ' +
+      'then it should request an amount update on the payment',
+    async () => {
+      const getPaymentUpdateBody = _mockCtpPaymentEndpoints()
+
+      const { actions } = await cartHandler.handleCart(
+        cartObject,
+        commercetoolsProjectKey,
+      )
+
+      expect(actions).to.be.empty
+      const paymentUpdateBody = getPaymentUpdateBody()
+      expect(paymentUpdateBody.version).to.equal(3)
+      expect(paymentUpdateBody.actions).to.have.lengthOf(2)
+      expect(paymentUpdateBody.actions[0].name).to.equal(
+        c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_REQUEST,
+      )
+      expect(JSON.parse(paymentUpdateBody.actions[0].value)).to.eql({
+        paymentPspReference: 'AUTHORISATION_PSP_REFERENCE',
+        amount: { currency: 'EUR', value: 1500 },
+        industryUsage: 'delayedCharge',
+        reference: 'YOUR_REFERENCE',
+      })
+      expect(paymentUpdateBody.actions[1]).to.eql({
+        action: 'setCustomField',
+        name: c.CTP_CUSTOM_FIELD_AMOUNT_UPDATES_RESPONSE,
+      })
+    },
+  )
+
+  it(
+    'when the cart total was already requested in the last amount update ' +
+      'then it should not update the payment',
+    async () => {
+      paymentObject.interfaceInteractions.push({
+        fields: {
+          type: c.CTP_INTERACTION_TYPE_AMOUNT_UPDATES,
+          createdAt: '2024-01-01T00:00:00.000Z',
+          response: JSON.stringify({
+            status: 'received',
+            amount: { currency: 'EUR', value: 1500 },
+          }),
+        },
+      })
+      const getPaymentUpdateBody = _mockCtpPaymentEndpoints()
+
+      await cartHandler.handleCart(cartObject, commercetoolsProjectKey)
+
+      expect(getPaymentUpdateBody()).to.be.undefined
+    },
+  )
+
+  it(
+    'when the payment is not pre-authorised ' +
+      'then it should not update the payment',
+    async () => {
+      paymentObject.custom.fields.makePaymentRequest = JSON.stringify({
+        amount: { currency: 'EUR', value: 1000 },
+      })
+      const getPaymentUpdateBody = _mockCtpPaymentEndpoints()
+
+      await cartHandler.handleCart(cartObject, commercetoolsProjectKey)
+
+      expect(getPaymentUpdateBody()).to.be.undefined
+    },
+  )
+
+  it(
+    'when the payment was already captured ' +
+      'then it should not update the payment',
+    async () => {
+      paymentObject.transactions.push({ type: 'Charge', state: 'Success' })
+      const getPaymentUpdateBody = _mockCtpPaymentEndpoints()
+
+      await cartHandler.handleCart(cartObject, commercetoolsProjectKey)
+
+      expect(getPaymentUpdateBody()).to.be.undefined
+    },
+  )
+})
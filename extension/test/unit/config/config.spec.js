@@ -49,6 +49,8 @@ describe('::config::', () => {
       clientSecret: 'clientSecret',
       authUrl: 'authUrl',
       projectKey: 'ctpProjectKey1',
+      lineItemProductData: null,
+      cartDataMapping: null,
       authentication: {
         scheme: 'basic',
         username: 'username',
@@ -60,6 +62,9 @@ describe('::config::', () => {
       apiKey: 'apiKey',
       clientKey: 'clientKey',
       paypalMerchantId: '',
+      surchargeRules: [],
+      marketplaceSplits: null,
+      terminalApiBaseUrl: 'https://terminal-api-test.adyen.com',
     })
   })
 
@@ -91,12 +96,17 @@ describe('::config::', () => {
       clientId: 'clientId',
       clientSecret: 'clientSecret',
       projectKey: 'ctpProjectKey1',
+      lineItemProductData: null,
+      cartDataMapping: null,
     })
     expect(config.default.getAdyenConfig('adyenMerchantAccount1')).to.eql({
       apiBaseUrl: 'https://checkout-test.adyen.com/v71',
       apiKey: 'apiKey',
       clientKey: 'clientKey',
       paypalMerchantId: '',
+      surchargeRules: [],
+      marketplaceSplits: null,
+      terminalApiBaseUrl: 'https://terminal-api-test.adyen.com',
     })
   })
 
@@ -262,6 +272,100 @@ describe('::config::', () => {
     }
   })
 
+  it('when cart data mapping has an unknown transform, it should throw error', async () => {
+    process.env.ADYEN_INTEGRATION_CONFIG = JSON.stringify({
+      commercetools: {
+        ctpProjectKey1: {
+          clientId: 'clientId',
+          clientSecret: 'clientSecret',
+          cartDataMapping: {
+            rules: [
+              {
+                source: 'cart.billingAddress.phone',
+                target: 'telephoneNumber',
+                transform: 'unknown',
+              },
+            ],
+          },
+        },
+      },
+      adyen: {
+        adyenMerchantAccount1: {
+          apiKey: 'apiKey',
+          clientKey: 'clientKey',
+        },
+      },
+      logLevel: 'DEBUG',
+    })
+    try {
+      await reloadModule('../../../src/config/config.js')
+      expect.fail('This test should throw an error, but it did not')
+    } catch (e) {
+      expect(e.message).to.contain(
+        'Cart data mapping is not properly configured. Please update the configuration',
+      )
+      expect(e.message).to.contain('Transform [unknown] is not supported')
+    }
+  })
+
+  it('when cart data mapping has a source path with an unknown root, it should throw error', async () => {
+    process.env.ADYEN_INTEGRATION_CONFIG = JSON.stringify({
+      commercetools: {
+        ctpProjectKey1: {
+          clientId: 'clientId',
+          clientSecret: 'clientSecret',
+          cartDataMapping: {
+            rules: [{ source: 'order.id', target: 'merchantOrderReference' }],
+          },
+        },
+      },
+      adyen: {
+        adyenMerchantAccount1: {
+          apiKey: 'apiKey',
+          clientKey: 'clientKey',
+        },
+      },
+      logLevel: 'DEBUG',
+    })
+    try {
+      await reloadModule('../../../src/config/config.js')
+      expect.fail('This test should throw an error, but it did not')
+    } catch (e) {
+      expect(e.message).to.contain(
+        'Source path [order.id] must start with one of cart, customer, payment.',
+      )
+    }
+  })
+
+  it('when cart data mapping has a rule without target path, it should throw error', async () => {
+    process.env.ADYEN_INTEGRATION_CONFIG = JSON.stringify({
+      commercetools: {
+        ctpProjectKey1: {
+          clientId: 'clientId',
+          clientSecret: 'clientSecret',
+          cartDataMapping: {
+            rules: [{ source: 'cart.id' }],
+          },
+        },
+      },
+      adyen: {
+        adyenMerchantAccount1: {
+          apiKey: 'apiKey',
+          clientKey: 'clientKey',
+        },
+      },
+      logLevel: 'DEBUG',
+    })
+    try {
+      await reloadModule('../../../src/config/config.js')
+      expect.fail('This test should throw an error, but it did not')
+    } catch (e) {
+      expect(e.message).to.contain(
+        'Every mapping rule must have a source and a target path.',
+      )
+    }
+  })
+
   it(
     'when extra adyenPaymentMethodsToNames config is not provided, ' +
       'it should return default adyenPaymentMethodsToNames config',
@@ -643,6 +747,8 @@ describe('::config::', () => {
           apiUrl: 'host',
           authUrl: 'authUrl',
           projectKey: 'ctpProjectKey1',
+          lineItemProductData: null,
+          cartDataMapping: null,
           authentication: {
             scheme: 'basic',
             username: 'username',
@@ -656,6 +762,9 @@ describe('::config::', () => {
           apiKey: 'apiKey',
           clientKey: 'clientKey',
           paypalMerchantId: '',
+          surchargeRules: [],
+          marketplaceSplits: null,
+          terminalApiBaseUrl: 'https://terminal-api-test.adyen.com',
         })
       } finally {
         fs.unlinkSync(filePath)
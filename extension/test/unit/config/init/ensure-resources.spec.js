@@ -2,7 +2,9 @@ import { expect } from 'chai'
 import sinon from 'sinon'
 import _ from 'lodash'
 import { ensureResources } from '../../../../src/config/init/ensure-resources.js'
+import { ensureCartApiExtension } from '../../../../src/config/init/ensure-api-extensions.js'
 import utils from '../../../../src/utils.js'
+import config from '../../../../src/config/config.js'
 
 describe('Ensure resources', () => {
   let webComponentsPaymentType
@@ -71,6 +73,52 @@ describe('Ensure resources', () => {
     )
   })
 
+  it('should not ensure the cart API extension even when automatic amount updates are enabled', async () => {
+    const moduleConfig = config.getModuleConfig()
+    sinon
+      .stub(config, 'getModuleConfig')
+      .returns({ ...moduleConfig, automaticAmountUpdates: true })
+    sinon.stub(mockClient, 'fetchByKey').throws({ statusCode: 404 })
+    const createStub = sinon
+      .stub(mockClient, 'create')
+      .returns({ body: { results: [] } })
+
+    await ensureResources(
+      mockClient,
+      'ctp-project-key',
+      'https://extension.example.com/',
+    )
+
+    expect(createStub.callCount).to.equal(4)
+    expect(
+      _.flattenDeep(createStub.args).find(
+        (arg) => arg.key === 'ctp-adyen-integration-cart-extension',
+      ),
+    ).to.be.undefined
+  })
+
+  it('should ensure the cart API extension pointing to the cart endpoint', async () => {
+    sinon.stub(mockClient, 'fetchByKey').throws({ statusCode: 404 })
+    const createStub = sinon
+      .stub(mockClient, 'create')
+      .returns({ body: { results: [] } })
+
+    await ensureCartApiExtension(
+      mockClient,
+      'ctp-project-key',
+      'https://extension.example.com/',
+    )
+
+    expect(createStub.callCount).to.equal(1)
+    const createdCartApiExtension = _.flattenDeep(createStub.args).find(
+      (arg) => arg.key === 'ctp-adyen-integration-cart-extension',
+    )
+    expect(createdCartApiExtension.destination.url).to.equal(
+      'https://extension.example.com/cart?ctpProjectKey=ctp-project-key',
+    )
+    expect(createdCartApiExtension.triggers[0].resourceTypeId).to.equal('cart')
+  })
+
   it('should fail when there is error on resource creation', async () => {
     sinon.stub(mockClient, 'fetchByKey').throws({ statusCode: 404 })
     sinon.stub(mockClient, 'create').throws('test error')
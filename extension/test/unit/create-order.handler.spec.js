@@ -0,0 +1,83 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import c from '../../src/config/constants.js'
+import createOrderHandler from '../../src/paymentHandler/create-order.handler.js'
+import config from '../../src/config/config.js'
+
+describe('create-order::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const createOrderRequest = {
+    reference: 'YOUR_ORDER_REFERENCE',
+    amount: {
+      currency: 'EUR',
+      value: 2500,
+    },
+  }
+  const paymentObject = {
+    key: 'YOUR_PAYMENT_KEY',
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 2500,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        createOrderRequest: JSON.stringify(createOrderRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'when "/orders" request to Adyen is received successfully ' +
+      'then it should return actions "addInterfaceInteraction", "setCustomField" and "setKey"',
+    async () => {
+      const adyenCreateOrderResponse = {
+        pspReference: '8616178914061985',
+        resultCode: 'Success',
+        expiresAt: '2021-04-09T14:16:46Z',
+        orderData: 'Ab02b4c0!BQABAgCxXvknCldOcRElkxY8Za7iyym4Wv8aDzyNwmj...',
+        reference: 'YOUR_ORDER_REFERENCE',
+        remainingAmount: {
+          currency: 'EUR',
+          value: 2500,
+        },
+      }
+
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .post('/orders')
+        .reply(200, adyenCreateOrderResponse)
+
+      const { actions } = await createOrderHandler.execute(paymentObject)
+
+      expect(actions).to.have.lengthOf(3)
+      expect(actions[0].action).to.equal('addInterfaceInteraction')
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_CREATE_ORDER,
+      )
+      expect(actions[1]).to.deep.equal({
+        action: 'setCustomField',
+        name: c.CTP_CUSTOM_FIELD_CREATE_ORDER_RESPONSE,
+        value: JSON.stringify(adyenCreateOrderResponse),
+      })
+      expect(actions[2]).to.deep.equal({
+        action: 'setKey',
+        key: 'YOUR_ORDER_REFERENCE',
+      })
+    },
+  )
+})
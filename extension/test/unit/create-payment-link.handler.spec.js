@@ -0,0 +1,129 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import _ from 'lodash'
+import c from '../../src/config/constants.js'
+import config from '../../src/config/config.js'
+import utils from '../../src/utils.js'
+import mockCtpEnpoints from './mock-ctp-enpoints.js'
+import createPaymentLinkHandler from '../../src/paymentHandler/create-payment-link.handler.js'
+
+describe('create-payment-link::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  let ctpCart
+  let scope
+
+  const createPaymentLinkRequest = {
+    reference: 'UNIQUE_PAYMENT_LINK_REFERENCE',
+    amount: {
+      currency: 'EUR',
+      value: 1000,
+    },
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1000,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey,
+        createPaymentLinkRequest: JSON.stringify(createPaymentLinkRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  const adyenCreatePaymentLinkResponse = {
+    amount: {
+      currency: 'EUR',
+      value: 1000,
+    },
+    expiresAt: '2026-10-20T13:35:16+02:00',
+    id: 'PL61C53A8B97E6915A',
+    merchantAccount: adyenMerchantAccount,
+    reference: 'UNIQUE_PAYMENT_LINK_REFERENCE',
+    status: 'active',
+    url: 'https://test.adyen.link/PL61C53A8B97E6915A',
+  }
+
+  before(async () => {
+    ctpCart = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-cart.json',
+    )
+  })
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    scope = nock(`${adyenConfig.apiBaseUrl}`)
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('handlePayment should return the right actions', async () => {
+    mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+    scope
+      .post('/paymentLinks')
+      .query(true)
+      .reply(200, adyenCreatePaymentLinkResponse)
+
+    const result = await createPaymentLinkHandler.execute(
+      _.cloneDeep(paymentObject),
+    )
+
+    expect(result.actions.length).to.equal(3)
+    expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+    expect(result.actions[1].action).to.equal('setCustomField')
+    expect(result.actions[2].action).to.equal('setKey')
+    const request = JSON.parse(result.actions[0].fields.request)
+    const requestBody = JSON.parse(request.body)
+    expect(requestBody).to.deep.include(createPaymentLinkRequest)
+    expect(requestBody.accountInfo).to.be.undefined
+    expect(requestBody.merchantAccount).to.equal(adyenMerchantAccount)
+    expect(result.actions[0].fields.response).to.equal(
+      JSON.stringify(adyenCreatePaymentLinkResponse),
+    )
+    expect(result.actions[0].fields.response).to.equal(result.actions[1].value)
+    expect(result.actions[0].fields.type).to.equal(
+      c.CTP_INTERACTION_TYPE_CREATE_PAYMENT_LINK,
+    )
+    expect(result.actions[1].name).to.equal(
+      c.CTP_CUSTOM_FIELD_CREATE_PAYMENT_LINK_RESPONSE,
+    )
+    expect(result.actions[2].key).to.equal(createPaymentLinkRequest.reference)
+  })
+
+  it(
+    'when adyen request fails ' +
+      'then handlePayment should return the right actions with failed responses',
+    async () => {
+      const errorMsg = 'Unexpected exception'
+
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+      scope.post('/paymentLinks').query(true).replyWithError(errorMsg)
+
+      const result = await createPaymentLinkHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+      expect(result.actions[0].fields.response).to.include(errorMsg)
+      expect(result.actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_CREATE_PAYMENT_LINK,
+      )
+      expect(result.actions[1].name).to.equal(
+        c.CTP_CUSTOM_FIELD_CREATE_PAYMENT_LINK_RESPONSE,
+      )
+    },
+  )
+})
@@ -1,5 +1,6 @@
 import nock from 'nock'
 import { expect } from 'chai'
+import sinon from 'sinon'
 import _ from 'lodash'
 import config from '../../src/config/config.js'
 import createSessionRequestPaymentHandler from '../../src/paymentHandler/sessions-request.handler.js'
@@ -16,6 +17,7 @@ describe('create-session-request-with-lineitems::execute', () => {
   const DEFAULT_PAYMENT_LANGUAGE = 'en'
   const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
   const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const sandbox = sinon.createSandbox()
 
   before(async () => {
     ctpPayment = await utils.readAndParseJsonFile(
@@ -35,6 +37,7 @@ describe('create-session-request-with-lineitems::execute', () => {
   })
 
   afterEach(() => {
+    sandbox.restore()
     nock.cleanAll()
   })
 
@@ -449,4 +452,432 @@ describe('create-session-request-with-lineitems::execute', () => {
       expect(lineItems[0].description).to.equal('test-de')
     },
   )
+
+  async function _createSessionLineItems(cart) {
+    mockCtpEnpoints._mockCtpCartsEndpoint(cart, commercetoolsProjectKey)
+    scope.post('/sessions').reply(200, createSessionSuccessResponse)
+
+    const ctpPaymentClone = _.cloneDeep(ctpPayment)
+    ctpPaymentClone.custom.fields.createSessionRequest = JSON.stringify({
+      reference: 'YOUR_REFERENCE',
+    })
+    ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+    ctpPaymentClone.custom.fields.commercetoolsProjectKey =
+      commercetoolsProjectKey
+
+    const response =
+      await createSessionRequestPaymentHandler.execute(ctpPaymentClone)
+    const createSessionRequestInteraction = JSON.parse(
+      response.actions.find((a) => a.action === 'addInterfaceInteraction')
+        .fields.request,
+    )
+    return JSON.parse(createSessionRequestInteraction.body).lineItems
+  }
+
+  it(
+    'when cart has tax mode "External" and the tax is not set yet, ' +
+      'then it should add all lineItems with gross amounts and zero tax',
+    async () => {
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      clonedCtpCart.taxMode = 'External'
+      clonedCtpCart.lineItems.forEach((item) => {
+        delete item.taxRate
+        delete item.taxedPrice
+      })
+      clonedCtpCart.customLineItems.forEach((item) => {
+        delete item.taxRate
+        delete item.taxedPrice
+      })
+      delete clonedCtpCart.shippingInfo.taxRate
+      delete clonedCtpCart.shippingInfo.taxedPrice
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems).to.have.lengthOf(3)
+      expect(lineItems[0]).to.deep.include({
+        id: 'test-product-sku-1',
+        quantity: 2,
+        amountExcludingTax: 855,
+        amountIncludingTax: 855,
+        taxAmount: 0,
+        taxPercentage: 0,
+      })
+      expect(lineItems[2]).to.deep.include({
+        id: 'ABHOLUNG',
+        amountExcludingTax: 2700,
+        amountIncludingTax: 2700,
+        taxAmount: 0,
+        taxPercentage: 0,
+      })
+    },
+  )
+
+  it(
+    'when cart has a tax rate but no taxed price, ' +
+      'then it should compute the tax of the lineItems from the tax rate',
+    async () => {
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      delete clonedCtpCart.lineItems[0].taxedPrice
+      delete clonedCtpCart.shippingInfo.taxedPrice
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems[0]).to.deep.include({
+        amountExcludingTax: 719,
+        amountIncludingTax: 855,
+        taxAmount: 136,
+        taxPercentage: 1900,
+      })
+      expect(lineItems[2]).to.deep.include({
+        amountExcludingTax: 2269,
+        amountIncludingTax: 2700,
+        taxAmount: 431,
+        taxPercentage: 1900,
+      })
+    },
+  )
+
+  it(
+    'when "addDiscountLineItems" is enabled, ' +
+      'then it should add every cart discount as a negative line item',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        addDiscountLineItems: true,
+      })
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      // the taxed price of the fixture is one cent above the total price
+      clonedCtpCart.lineItems[0].taxedPrice.totalGross.centAmount = 1710
+      clonedCtpCart.lineItems[0].taxedPrice.totalNet.centAmount = 1437
+      const lineItemDiscount =
+        clonedCtpCart.lineItems[0].discountedPricePerQuantity[0].discountedPrice
+          .includedDiscounts[0].discount
+      lineItemDiscount.obj = {
+        id: lineItemDiscount.id,
+        key: 'summer-sale',
+        name: { de: 'Sommerschlussverkauf', en: 'Summer sale' },
+        cartDiscounts: [],
+      }
+      clonedCtpCart.discountCodes = [
+        {
+          discountCode: {
+            typeId: 'discount-code',
+            id: 'discountCodeId',
+            obj: {
+              code: 'WELCOME10',
+              name: { en: 'Welcome' },
+              cartDiscounts: [
+                { typeId: 'cart-discount', id: 'totalPriceDiscountId' },
+              ],
+            },
+          },
+          state: 'MatchesCart',
+        },
+      ]
+      clonedCtpCart.discountOnTotalPrice = {
+        discountedAmount: { currencyCode: 'EUR', centAmount: 595 },
+        includedDiscounts: [
+          {
+            discount: { typeId: 'cart-discount', id: 'totalPriceDiscountId' },
+            discountedAmount: { currencyCode: 'EUR', centAmount: 595 },
+          },
+        ],
+        discountedNetAmount: { currencyCode: 'EUR', centAmount: 500 },
+        discountedGrossAmount: { currencyCode: 'EUR', centAmount: 595 },
+      }
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems).to.have.lengthOf(7)
+      expect(lineItems[0]).to.deep.include({
+        id: 'test-product-sku-1',
+        quantity: 2,
+        amountIncludingTax: 1000,
+        taxPercentage: 1900,
+      })
+      expect(lineItems[3]).to.deep.equal({
+        id: 'summer-sale',
+        quantity: 1,
+        description: 'Sommerschlussverkauf',
+        amountExcludingTax: -84,
+        amountIncludingTax: -100,
+        taxAmount: -16,
+        taxPercentage: 1905,
+      })
+      expect(lineItems[4]).to.deep.include({
+        id: '9722e614-affd-44df-8799-2e3524aaaa03',
+        description: 'discount',
+        amountIncludingTax: -190,
+      })
+      expect(lineItems[2]).to.deep.include({
+        id: 'ABHOLUNG',
+        amountIncludingTax: 3000,
+      })
+      expect(lineItems[5]).to.deep.include({
+        id: 'cbd7288d-1fb1-4b10-b37d-a77859ac53e2',
+        amountIncludingTax: -300,
+      })
+      expect(lineItems[6]).to.deep.equal({
+        id: 'WELCOME10',
+        quantity: 1,
+        description: 'Welcome',
+        amountExcludingTax: -500,
+        amountIncludingTax: -595,
+        taxAmount: -95,
+        taxPercentage: 1900,
+      })
+      const total = lineItems.reduce(
+        (sum, item) => sum + item.amountIncludingTax * item.quantity,
+        0,
+      )
+      expect(total).to.equal(
+        clonedCtpCart.totalPrice.centAmount -
+          clonedCtpCart.discountOnTotalPrice.discountedAmount.centAmount,
+      )
+    },
+  )
+
+  it(
+    'when "addDiscountLineItems" is enabled and cart has tax mode "ExternalAmount", ' +
+      'then it should take the tax of the discount line items from the taxed price',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        addDiscountLineItems: true,
+      })
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      clonedCtpCart.taxMode = 'ExternalAmount'
+      clonedCtpCart.customLineItems = []
+      delete clonedCtpCart.shippingInfo
+      const lineItem = clonedCtpCart.lineItems[0]
+      delete lineItem.taxRate
+      lineItem.taxedPrice.totalGross.centAmount = 1710
+      lineItem.taxedPrice.totalNet.centAmount = 1598
+      lineItem.taxedPrice.totalTax.centAmount = 112
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems).to.have.lengthOf(3)
+      expect(lineItems[0]).to.deep.include({
+        id: 'test-product-sku-1',
+        quantity: 2,
+        amountExcludingTax: 934,
+        amountIncludingTax: 1000,
+        taxAmount: 66,
+      })
+      expect(lineItems[1]).to.deep.include({
+        id: 'a800e982-ec5f-47cc-89f0-057f268f5d55',
+        amountExcludingTax: -93,
+        amountIncludingTax: -100,
+        taxAmount: -7,
+      })
+      expect(lineItems[2]).to.deep.include({
+        id: '9722e614-affd-44df-8799-2e3524aaaa03',
+        amountExcludingTax: -177,
+        amountIncludingTax: -190,
+        taxAmount: -13,
+      })
+    },
+  )
+
+  function _createCartWithThreeUnits() {
+    const clonedCtpCart = _.cloneDeep(ctpCart)
+    const lineItem = clonedCtpCart.lineItems[0]
+    lineItem.quantity = 3
+    lineItem.totalPrice.centAmount = 1000
+    lineItem.taxedPrice.totalGross.centAmount = 1000
+    lineItem.taxedPrice.totalNet.centAmount = 840
+    lineItem.taxedPrice.totalTax.centAmount = 160
+    clonedCtpCart.customLineItems = []
+    delete clonedCtpCart.shippingInfo
+    return clonedCtpCart
+  }
+
+  it(
+    'when the rounded unit amounts do not add up to the payment amount, ' +
+      'then it should add the difference to some units of a line item',
+    async () => {
+      const lineItems = await _createSessionLineItems(
+        _createCartWithThreeUnits(),
+      )
+
+      expect(lineItems).to.have.lengthOf(2)
+      expect(lineItems[0]).to.deep.include({
+        id: 'test-product-sku-1',
+        quantity: 2,
+        amountExcludingTax: 280,
+        amountIncludingTax: 333,
+        taxAmount: 53,
+      })
+      expect(lineItems[1]).to.deep.include({
+        id: 'test-product-sku-1',
+        quantity: 1,
+        amountExcludingTax: 280,
+        amountIncludingTax: 334,
+        taxAmount: 54,
+      })
+    },
+  )
+
+  it(
+    'when "addRoundingLineItem" is enabled and the rounded unit amounts do not add up to the payment amount, ' +
+      'then it should add the difference as a rounding line item',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        addRoundingLineItem: true,
+      })
+
+      const lineItems = await _createSessionLineItems(
+        _createCartWithThreeUnits(),
+      )
+
+      expect(lineItems).to.have.lengthOf(2)
+      expect(lineItems[0]).to.deep.include({
+        quantity: 3,
+        amountIncludingTax: 333,
+      })
+      expect(lineItems[1]).to.deep.equal({
+        id: 'rounding',
+        quantity: 1,
+        description: 'rounding',
+        amountExcludingTax: 1,
+        amountIncludingTax: 1,
+        taxAmount: 0,
+        taxPercentage: 0,
+      })
+    },
+  )
+
+  it(
+    'when "lineItemProductData" is configured for the commercetools project, ' +
+      'then it should add the product data to the lineItems',
+    async () => {
+      sandbox.stub(config, 'getCtpConfig').callsFake((ctpProjectKey) => ({
+        ...config.getCtpConfig.wrappedMethod(ctpProjectKey),
+        lineItemProductData: {
+          imageUrl: true,
+          productUrlTemplate:
+            'https://www.example.com/{locale}/p/{slug}?sku={sku}',
+          itemCategory: true,
+          attributes: { brand: 'brand', color: 'color', size: 'size' },
+        },
+      }))
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      const lineItem = clonedCtpCart.lineItems[0]
+      lineItem.variant.images = [
+        { url: 'https://images.example.com/product.jpg' },
+      ]
+      lineItem.variant.attributes = [
+        { name: 'brand', value: 'Adyen' },
+        {
+          name: 'color',
+          value: { key: 'red', label: { de: 'Rot', en: 'Red' } },
+        },
+        { name: 'size', value: 42 },
+      ]
+      mockCtpEnpoints._mockCtpProductProjectionsEndpoint(
+        [
+          {
+            id: lineItem.productId,
+            categories: [
+              {
+                typeId: 'category',
+                id: 'categoryId',
+                obj: { name: { de: 'Schuhe', en: 'Shoes' } },
+              },
+            ],
+          },
+        ],
+        commercetoolsProjectKey,
+      )
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems[0]).to.deep.include({
+        id: 'test-product-sku-1',
+        imageUrl: 'https://images.example.com/product.jpg',
+        productUrl:
+          'https://www.example.com/de/p/test-product-slug?sku=test-product-sku-1',
+        itemCategory: 'Schuhe',
+        brand: 'Adyen',
+        color: 'Rot',
+        size: '42',
+      })
+      expect(lineItems[1]).to.not.have.property('imageUrl')
+    },
+  )
+
+  describe('when "lineItemProductData.itemCategory" is configured', () => {
+    const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+    const category = {
+      typeId: 'category',
+      id: 'categoryId',
+      obj: { name: { de: 'Schuhe', en: 'Shoes' } },
+    }
+
+    beforeEach(() => {
+      sandbox.stub(config, 'getCtpConfig').callsFake((ctpProjectKey) => ({
+        ...config.getCtpConfig.wrappedMethod(ctpProjectKey),
+        lineItemProductData: { itemCategory: true },
+      }))
+      nock(`${ctpConfig.authUrl}`).post('/oauth/token').reply(200, {
+        access_token: 'xxx',
+        token_type: 'Bearer',
+        expires_in: 172800,
+        scope: 'manage_project:xxx',
+      })
+    })
+
+    function _mockProductProjections(queryMatcher, products) {
+      nock(`${ctpConfig.apiUrl}`)
+        .get(`/${ctpConfig.projectKey}/product-projections`)
+        .query(queryMatcher)
+        .reply(200, { results: products })
+    }
+
+    it('and a product is not published anymore, then it should use the category of the staged product', async () => {
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      const { productId } = clonedCtpCart.lineItems[0]
+      _mockProductProjections((query) => query.staged === 'false', [])
+      _mockProductProjections(
+        (query) => query.staged === 'true',
+        [{ id: productId, categories: [category] }],
+      )
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(lineItems[0].itemCategory).to.equal('Schuhe')
+    })
+
+    it('and the cart has more than 500 products, then it should fetch the products in batches', async () => {
+      const clonedCtpCart = _.cloneDeep(ctpCart)
+      const [lineItem] = clonedCtpCart.lineItems
+      clonedCtpCart.lineItems = _.range(501).map((index) => ({
+        ...lineItem,
+        id: `lineItem-${index}`,
+        productId: `product-${index}`,
+      }))
+      const products = clonedCtpCart.lineItems.map((item) => ({
+        id: item.productId,
+        categories: [category],
+      }))
+      const pageSizes = []
+      nock(`${ctpConfig.apiUrl}`)
+        .get(`/${ctpConfig.projectKey}/product-projections`)
+        .query(true)
+        .times(2)
+        .reply((uri) => {
+          pageSizes.push(
+            new URL(uri, ctpConfig.apiUrl).searchParams.get('limit'),
+          )
+          return [200, { results: products }]
+        })
+
+      const lineItems = await _createSessionLineItems(clonedCtpCart)
+
+      expect(pageSizes.sort()).to.deep.equal(['1', '500'])
+      expect(lineItems[500].itemCategory).to.equal('Schuhe')
+    })
+  })
 })
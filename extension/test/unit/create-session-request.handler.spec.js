@@ -1,5 +1,6 @@
 import { expect } from 'chai'
 import nock from 'nock'
+import sinon from 'sinon'
 import _ from 'lodash'
 import c from '../../src/config/constants.js'
 import config from '../../src/config/config.js'
@@ -111,7 +112,10 @@ describe('create-session-request::execute::', () => {
     scope = nock(`${adyenConfig.apiBaseUrl}`)
   })
 
+  const sandbox = sinon.createSandbox()
+
   afterEach(() => {
+    sandbox.restore()
     nock.cleanAll()
   })
 
@@ -400,4 +404,101 @@ describe('create-session-request::execute::', () => {
       expect(createSessionRequestJson).to.not.have.own.property('shopperLocale')
     },
   )
+
+  it(
+    'when an installment rule matches the country of the cart and the amount ' +
+      'then createSessionRequest should contain the installment options',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        installmentRules: [
+          {
+            countryCode: 'JP',
+            currency: 'JPY',
+            values: [1, 3, 6],
+            plans: ['regular', 'revolving'],
+          },
+        ],
+      })
+      const ctpCartClone = _.cloneDeep(ctpCartWithNoData)
+      ctpCartClone.country = 'JP'
+      mockCtpEnpoints._mockCtpCartsEndpoint(
+        ctpCartClone,
+        commercetoolsProjectKey,
+      )
+      scope.post('/sessions').reply(200, createSessionSuccessResponse)
+      const paymentObjectClone = _.cloneDeep(paymentObject)
+      paymentObjectClone.custom.fields.createSessionRequest = JSON.stringify({
+        reference: 'UNIQUE_PAYMENT_REFERENCE',
+        amount: { currency: 'JPY', value: 100000 },
+      })
+
+      const response =
+        await createSessionRequestPaymentHandler.execute(paymentObjectClone)
+
+      const createSessionRequestInteraction = JSON.parse(
+        response.actions.find((a) => a.action === 'addInterfaceInteraction')
+          .fields.request,
+      )
+      const createSessionRequestJson = JSON.parse(
+        createSessionRequestInteraction.body,
+      )
+      expect(createSessionRequestJson.installmentOptions).to.deep.equal({
+        card: { values: [1, 3, 6], plans: ['regular', 'revolving'] },
+      })
+    },
+  )
+
+  it(
+    'when "cartDataMapping" with "replaceBuiltInMapping" is configured for the commercetools project, ' +
+      'then only the mapping rules and the line items should be added to createSessionRequest',
+    async () => {
+      sandbox.stub(config, 'getCtpConfig').callsFake((ctpProjectKey) => ({
+        ...config.getCtpConfig.wrappedMethod(ctpProjectKey),
+        cartDataMapping: {
+          replaceBuiltInMapping: true,
+          rules: [
+            { source: 'customer.id', target: 'shopperReference' },
+            {
+              source: 'cart.billingAddress.city',
+              target: 'billingAddress.city',
+              transform: 'uppercase',
+            },
+            { source: 'cart.country', target: 'countryCode' },
+          ],
+        },
+      }))
+      mockCtpEnpoints._mockCtpCustomerEndpoint(
+        ctpCustomer,
+        commercetoolsProjectKey,
+      )
+      mockCtpEnpoints._mockCtpCartsEndpoint(
+        ctpCartWithCustomer,
+        commercetoolsProjectKey,
+      )
+      scope.post('/sessions').reply(200, createSessionSuccessResponse)
+
+      const response = await createSessionRequestPaymentHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      const createSessionRequestInteraction = JSON.parse(
+        response.actions.find((a) => a.action === 'addInterfaceInteraction')
+          .fields.request,
+      )
+      const createSessionRequestJson = JSON.parse(
+        createSessionRequestInteraction.body,
+      )
+      expect(createSessionRequestJson.shopperReference).to.equal(ctpCustomer.id)
+      expect(createSessionRequestJson.billingAddress).to.deep.equal({
+        city: ctpCartWithCustomer.billingAddress.city.toUpperCase(),
+      })
+      expect(createSessionRequestJson.countryCode).to.equal(
+        getSessionRequest.countryCode,
+      )
+      expect(createSessionRequestJson.shopperEmail).to.be.undefined
+      expect(createSessionRequestJson.accountInfo).to.be.undefined
+      expect(createSessionRequestJson.lineItems).to.not.be.empty
+    },
+  )
 })
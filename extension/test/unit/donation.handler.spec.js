@@ -0,0 +1,126 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import lodash from 'lodash'
+import c from '../../src/config/constants.js'
+import donationHandler from '../../src/paymentHandler/donation.handler.js'
+import config from '../../src/config/config.js'
+
+const { cloneDeep } = lodash
+
+describe('donation::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const donationRequest = {
+    amount: {
+      currency: 'EUR',
+      value: 500,
+    },
+    reference: 'YOUR_DONATION_REFERENCE',
+    paymentMethod: {
+      type: 'scheme',
+    },
+    donationAccount: 'NONPROFIT_ACCOUNT',
+    returnUrl: 'https://your-company.com/...',
+    shopperInteraction: 'ContAuth',
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1000,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    transactions: [],
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        makePaymentResponse: JSON.stringify({
+          pspReference: '991559660454807J',
+          resultCode: 'Authorised',
+          donationToken: 'YOUR_DONATION_TOKEN',
+        }),
+        donationRequest: JSON.stringify(donationRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+  const adyenDonationResponse = {
+    id: 'UNIQUE_RESOURCE_ID',
+    status: 'completed',
+    donationAccount: 'NONPROFIT_ACCOUNT',
+    merchantAccount: adyenMerchantAccount,
+    payment: {
+      pspReference: 'ZX2BTSKHDHLJ5975',
+      resultCode: 'Authorised',
+    },
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'when donationRequest does not contain pspReference and donationToken ' +
+      'then it should take them from makePaymentResponse',
+    async () => {
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .post('/donations')
+        .reply(200, adyenDonationResponse)
+
+      const { actions } = await donationHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(actions).to.have.lengthOf(2)
+      const request = JSON.parse(actions[0].fields.request)
+      expect(JSON.parse(request.body)).to.deep.include({
+        ...donationRequest,
+        donationOriginalPspReference: '991559660454807J',
+        donationToken: 'YOUR_DONATION_TOKEN',
+      })
+      expect(actions[0].fields.type).to.equal(c.CTP_INTERACTION_TYPE_DONATION)
+      expect(actions[1]).to.deep.equal({
+        action: 'setCustomField',
+        name: c.CTP_CUSTOM_FIELD_DONATION_RESPONSE,
+        value: JSON.stringify(adyenDonationResponse),
+      })
+    },
+  )
+
+  it(
+    'when payment has no makePaymentResponse ' +
+      'then it should take the pspReference from the successful authorization transaction',
+    async () => {
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .post('/donations')
+        .reply(200, adyenDonationResponse)
+
+      const paymentObjectClone = cloneDeep(paymentObject)
+      delete paymentObjectClone.custom.fields.makePaymentResponse
+      paymentObjectClone.custom.fields.donationRequest = JSON.stringify({
+        ...donationRequest,
+        donationToken: 'DONATION_TOKEN_FROM_WEB_COMPONENT',
+      })
+      paymentObjectClone.transactions.push({
+        type: 'Authorization',
+        state: 'Success',
+        interactionId: '883592826488441K',
+      })
+
+      const { actions } = await donationHandler.execute(paymentObjectClone)
+
+      const request = JSON.parse(actions[0].fields.request)
+      expect(JSON.parse(request.body)).to.deep.include({
+        donationOriginalPspReference: '883592826488441K',
+        donationToken: 'DONATION_TOKEN_FROM_WEB_COMPONENT',
+      })
+    },
+  )
+})
@@ -0,0 +1,276 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import lodash from 'lodash'
+import c from '../../src/config/constants.js'
+import expressCheckoutUpdateHandler from '../../src/paymentHandler/express-checkout-update.handler.js'
+import config from '../../src/config/config.js'
+import utils from '../../src/utils.js'
+import mockCtpEnpoints from './mock-ctp-enpoints.js'
+
+const { cloneDeep } = lodash
+
+describe('express-checkout-update::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+  const selectedShippingMethodId = 'fb411248-4e17-4732-9bd8-f22a2d7e74b1'
+  const expressCheckoutUpdateRequest = {
+    shippingAddress: { country: 'DE', city: 'Berlin', postalCode: '10115' },
+    shippingMethodId: selectedShippingMethodId,
+  }
+  const shippingMethods = [
+    {
+      id: selectedShippingMethodId,
+      name: 'ABHOLUNG',
+      zoneRates: [],
+    },
+    {
+      id: 'express-shipping-method-id',
+      name: 'Express',
+      localizedDescription: { de: 'Expressversand' },
+      zoneRates: [
+        {
+          shippingRates: [
+            {
+              price: { currencyCode: 'EUR', centAmount: 1500 },
+              isMatching: true,
+            },
+          ],
+        },
+      ],
+    },
+  ]
+  let ctpCart
+  let paymentObject
+
+  before(async () => {
+    ctpCart = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-cart.json',
+    )
+  })
+
+  beforeEach(() => {
+    paymentObject = {
+      id: 'paymentId',
+      amountPlanned: {
+        currencyCode: 'EUR',
+        centAmount: 5000,
+      },
+      paymentMethodInfo: {
+        paymentInterface: c.CTP_ADYEN_INTEGRATION,
+      },
+      transactions: [],
+      interfaceInteractions: [],
+      custom: {
+        type: {
+          typeId: 'type',
+          key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+        },
+        fields: {
+          commercetoolsProjectKey,
+          languageCode: 'de',
+          expressCheckoutUpdateRequest: JSON.stringify(
+            expressCheckoutUpdateRequest,
+          ),
+          adyenMerchantAccount,
+        },
+      },
+    }
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  function _mockCtpEndpoints() {
+    mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+    let cartUpdateBody
+    nock(ctpConfig.apiUrl)
+      .post(`/${ctpConfig.projectKey}/carts/${ctpCart.id}`, (body) => {
+        cartUpdateBody = body
+        return true
+      })
+      .query(true)
+      .reply(200, ctpCart)
+      .get(`/${ctpConfig.projectKey}/shipping-methods/matching-cart`)
+      .query({ cartId: ctpCart.id })
+      .reply(200, { results: shippingMethods })
+    return () => cartUpdateBody
+  }
+
+  it(
+    'when the shopper changes the shipping address and method ' +
+      'then it should update the cart and return the new amount, line items and delivery methods',
+    async () => {
+      const getCartUpdateBody = _mockCtpEndpoints()
+
+      const { actions } =
+        await expressCheckoutUpdateHandler.execute(paymentObject)
+
+      expect(getCartUpdateBody()).to.eql({
+        version: ctpCart.version,
+        actions: [
+          {
+            action: 'setShippingAddress',
+            address: expressCheckoutUpdateRequest.shippingAddress,
+          },
+          {
+            action: 'setShippingMethod',
+            shippingMethod: {
+              typeId: 'shipping-method',
+              id: selectedShippingMethodId,
+            },
+          },
+        ],
+      })
+
+      expect(actions).to.have.lengthOf(3)
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_EXPRESS_CHECKOUT_UPDATE,
+      )
+      expect(actions[1].name).to.equal(
+        c.CTP_CUSTOM_FIELD_EXPRESS_CHECKOUT_UPDATE_RESPONSE,
+      )
+      const response = JSON.parse(actions[1].value)
+      expect(response.amount).to.eql({ currency: 'EUR', value: 8610 })
+      expect(response.lineItems).to.not.be.empty
+      expect(response.deliveryMethods).to.eql([
+        {
+          reference: selectedShippingMethodId,
+          description: 'ABHOLUNG',
+          type: 'Shipping',
+          amount: { currency: 'EUR', value: 2700 },
+          selected: true,
+        },
+        {
+          reference: 'express-shipping-method-id',
+          description: 'Expressversand',
+          type: 'Shipping',
+          amount: { currency: 'EUR', value: 1500 },
+          selected: false,
+        },
+      ])
+      expect(actions[2]).to.eql({
+        action: 'changeAmountPlanned',
+        amount: { currencyCode: 'EUR', centAmount: 8610 },
+      })
+    },
+  )
+
+  it(
+    'when the payment is a PayPal payment ' +
+      'then it should update the PayPal order with the new amount and delivery methods',
+    async () => {
+      _mockCtpEndpoints()
+      let updateOrderRequest
+      nock(adyenCredentials.apiBaseUrl)
+        .post('/paypal/updateOrder', (body) => {
+          updateOrderRequest = body
+          return true
+        })
+        .reply(200, { paymentData: 'newPaymentData', status: 'success' })
+
+      paymentObject.custom.fields.makePaymentResponse = JSON.stringify({
+        resultCode: 'Pending',
+        pspReference: 'PAYPAL_PSP_REFERENCE',
+        action: {
+          paymentMethodType: 'paypal',
+          paymentData: 'initialPaymentData',
+          type: 'sdk',
+        },
+      })
+      paymentObject.interfaceInteractions.push({
+        fields: {
+          type: c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+          createdAt: '2024-01-01T00:00:00.000Z',
+          response: JSON.stringify({ paymentData: 'previousPaymentData' }),
+        },
+      })
+
+      const { actions } = await expressCheckoutUpdateHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(updateOrderRequest).to.deep.include({
+        pspReference: 'PAYPAL_PSP_REFERENCE',
+        paymentData: 'previousPaymentData',
+        amount: { currency: 'EUR', value: 8610 },
+      })
+      expect(updateOrderRequest.deliveryMethods).to.have.lengthOf(2)
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+      )
+      const response = JSON.parse(
+        actions.find(
+          (a) => a.name === c.CTP_CUSTOM_FIELD_EXPRESS_CHECKOUT_UPDATE_RESPONSE,
+        ).value,
+      )
+      expect(response.paymentData).to.equal('newPaymentData')
+    },
+  )
+
+  it(
+    'when the PayPal payment is made in the sessions flow ' +
+      'then it should update the PayPal order of the session',
+    async () => {
+      _mockCtpEndpoints()
+      let updateOrderRequest
+      nock(adyenCredentials.apiBaseUrl)
+        .post('/paypal/updateOrder', (body) => {
+          updateOrderRequest = body
+          return true
+        })
+        .reply(200, { paymentData: 'newPaymentData', status: 'success' })
+
+      paymentObject.custom.fields.createSessionResponse = JSON.stringify({
+        id: 'SESSION_ID',
+        sessionData: 'SESSION_DATA',
+      })
+      paymentObject.custom.fields.expressCheckoutUpdateRequest = JSON.stringify(
+        {
+          ...expressCheckoutUpdateRequest,
+          paymentData: 'componentPaymentData',
+        },
+      )
+
+      const { actions } = await expressCheckoutUpdateHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(updateOrderRequest).to.deep.include({
+        sessionId: 'SESSION_ID',
+        paymentData: 'componentPaymentData',
+        amount: { currency: 'EUR', value: 8610 },
+      })
+      expect(updateOrderRequest).to.not.have.property('pspReference')
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+      )
+    },
+  )
+
+  it(
+    'when the payment is made in the sessions flow without paymentData ' +
+      'then it should not update a PayPal order',
+    async () => {
+      _mockCtpEndpoints()
+      paymentObject.custom.fields.createSessionResponse = JSON.stringify({
+        id: 'SESSION_ID',
+        sessionData: 'SESSION_DATA',
+      })
+
+      const { actions } = await expressCheckoutUpdateHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(
+        actions.filter(
+          (a) =>
+            a.action === 'addInterfaceInteraction' &&
+            a.fields.type === c.CTP_INTERACTION_TYPE_PAYPAL_UPDATE_ORDER,
+        ),
+      ).to.be.empty
+    },
+  )
+})
@@ -0,0 +1,79 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import c from '../../src/config/constants.js'
+import getBalanceHandler from '../../src/paymentHandler/get-balance.handler.js'
+import config from '../../src/config/config.js'
+
+describe('get-balance::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const getBalanceRequest = {
+    paymentMethod: {
+      type: 'givex',
+      number: '4126491073027401',
+      cvc: '737',
+    },
+    amount: {
+      currency: 'EUR',
+      value: 1000,
+    },
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 0,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        getBalanceRequest: JSON.stringify(getBalanceRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('handlePayment should return the right actions', async () => {
+    const adyenGetBalanceResponse = {
+      pspReference: 'KHQC5N7G84BLNK43',
+      resultCode: 'Success',
+      balance: {
+        currency: 'EUR',
+        value: 5000,
+      },
+    }
+
+    nock(`${adyenCredentials.apiBaseUrl}`)
+      .post('/paymentMethods/balance')
+      .reply(200, adyenGetBalanceResponse)
+
+    const result = await getBalanceHandler.execute(paymentObject)
+
+    expect(result.actions.length).to.equal(2)
+    expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+    expect(result.actions[1].action).to.equal('setCustomField')
+    const request = JSON.parse(result.actions[0].fields.request)
+    expect(JSON.parse(request.body)).to.be.deep.includes(getBalanceRequest)
+    expect(result.actions[0].fields.response).to.be.deep.equal(
+      JSON.stringify(adyenGetBalanceResponse),
+    )
+    expect(result.actions[0].fields.type).to.equal(
+      c.CTP_INTERACTION_TYPE_GET_BALANCE,
+    )
+    expect(result.actions[1].name).to.equal(
+      c.CTP_CUSTOM_FIELD_GET_BALANCE_RESPONSE,
+    )
+  })
+})
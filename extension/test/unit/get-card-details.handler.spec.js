@@ -0,0 +1,126 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import lodash from 'lodash'
+import c from '../../src/config/constants.js'
+import getCardDetailsHandler from '../../src/paymentHandler/get-card-details.handler.js'
+import config from '../../src/config/config.js'
+
+const { cloneDeep } = lodash
+
+describe('get-card-details::execute::', () => {
+  const sandbox = sinon.createSandbox()
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const getCardDetailsRequest = {
+    cardNumber: '411111',
+    countryCode: 'NL',
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1999,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        getCardDetailsRequest: JSON.stringify(getCardDetailsRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+  const adyenGetCardDetailsResponse = {
+    brands: [
+      {
+        type: 'visa',
+        supported: true,
+      },
+    ],
+    fundingSource: 'CREDIT',
+    isCardCommercial: false,
+    issuingCountryCode: 'NL',
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  function stubSurchargeRules(surchargeRules) {
+    const originalGetAdyenConfig = config.getAdyenConfig
+    sandbox.stub(config, 'getAdyenConfig').callsFake((merchantAccount) => ({
+      ...originalGetAdyenConfig(merchantAccount),
+      surchargeRules,
+    }))
+  }
+
+  beforeEach(() => {
+    nock(`${adyenCredentials.apiBaseUrl}`)
+      .post('/cardDetails')
+      .reply(200, adyenGetCardDetailsResponse)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+    nock.cleanAll()
+  })
+
+  it('when no surcharge rules are configured then it should return the card details unchanged', async () => {
+    const { actions } = await getCardDetailsHandler.execute(
+      cloneDeep(paymentObject),
+    )
+
+    expect(actions).to.have.lengthOf(2)
+    const request = JSON.parse(actions[0].fields.request)
+    expect(JSON.parse(request.body)).to.deep.include(getCardDetailsRequest)
+    expect(actions[0].fields.type).to.equal(
+      c.CTP_INTERACTION_TYPE_GET_CARD_DETAILS,
+    )
+    expect(actions[1]).to.deep.equal({
+      action: 'setCustomField',
+      name: c.CTP_CUSTOM_FIELD_GET_CARD_DETAILS_RESPONSE,
+      value: JSON.stringify(adyenGetCardDetailsResponse),
+    })
+  })
+
+  it('when a surcharge rule matches the card then it should add the surcharge to the response', async () => {
+    stubSurchargeRules([
+      { brand: 'amex', percentage: 3 },
+      { brand: 'visa', fundingSource: 'DEBIT', percentage: 0.5 },
+      { fundingSource: 'CREDIT', percentage: 1.5, fixedAmount: 10 },
+    ])
+
+    const { actions } = await getCardDetailsHandler.execute(
+      cloneDeep(paymentObject),
+    )
+
+    const response = JSON.parse(actions[1].value)
+    expect(response.surcharge).to.deep.equal({
+      amount: {
+        currency: 'EUR',
+        value: 40,
+      },
+      brand: 'visa',
+      fundingSource: 'CREDIT',
+    })
+    expect(actions[0].fields.response).to.equal(actions[1].value)
+  })
+
+  it('when no surcharge rule matches the card then the surcharge should be 0', async () => {
+    stubSurchargeRules([{ brand: 'amex', percentage: 3 }])
+
+    const { actions } = await getCardDetailsHandler.execute(
+      cloneDeep(paymentObject),
+    )
+
+    const response = JSON.parse(actions[1].value)
+    expect(response.surcharge.amount).to.deep.equal({
+      currency: 'EUR',
+      value: 0,
+    })
+  })
+})
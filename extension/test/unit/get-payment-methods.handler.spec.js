@@ -1,5 +1,7 @@
 import { expect } from 'chai'
 import nock from 'nock'
+import sinon from 'sinon'
+import _ from 'lodash'
 import c from '../../src/config/constants.js'
 import getPaymentMethodsHandler from '../../src/paymentHandler/get-payment-methods.handler.js'
 import config from '../../src/config/config.js'
@@ -40,7 +42,10 @@ describe('get-payment-methods::execute::', () => {
     paymentObject.custom.fields.adyenMerchantAccount,
   )
 
+  const sandbox = sinon.createSandbox()
+
   afterEach(() => {
+    sandbox.restore()
     nock.cleanAll()
   })
 
@@ -114,4 +119,46 @@ describe('get-payment-methods::execute::', () => {
       )
     },
   )
+
+  it(
+    'when an installment rule matches the country and amount ' +
+      'then it should return the installment options together with the payment methods',
+    async () => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        installmentRules: [
+          { countryCode: 'BR', currency: 'BRL', maxAmount: 1000, values: [1] },
+          {
+            countryCode: 'BR',
+            currency: 'BRL',
+            minAmount: 1000,
+            values: [1, 2, 3],
+          },
+        ],
+      })
+      const adyenGetPaymentResponse = {
+        paymentMethods: [{ name: 'Cards', type: 'scheme' }],
+      }
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .post('/paymentMethods')
+        .query(true)
+        .reply(200, adyenGetPaymentResponse)
+      const paymentObjectClone = _.cloneDeep(paymentObject)
+      paymentObjectClone.custom.fields.getPaymentMethodsRequest =
+        JSON.stringify({
+          countryCode: 'BR',
+          amount: { currency: 'BRL', value: 1000 },
+        })
+
+      const result = await getPaymentMethodsHandler.execute(paymentObjectClone)
+
+      expect(result.actions[0].fields.response).to.equal(
+        JSON.stringify(adyenGetPaymentResponse),
+      )
+      expect(JSON.parse(result.actions[1].value)).to.deep.equal({
+        ...adyenGetPaymentResponse,
+        installmentOptions: { card: { values: [1, 2, 3] } },
+      })
+    },
+  )
 })
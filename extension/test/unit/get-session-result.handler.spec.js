@@ -0,0 +1,166 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import _ from 'lodash'
+import c from '../../src/config/constants.js'
+import config from '../../src/config/config.js'
+import getSessionResultHandler from '../../src/paymentHandler/get-session-result.handler.js'
+
+describe('get-session-result::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const sessionId = 'CS12345678'
+  const sessionResult = 'X3XtfGC9!H4sIAAAAAAAA...'
+  let scope
+
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1000,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    transactions: [],
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        createSessionResponse: JSON.stringify({ id: sessionId }),
+        getSessionResultRequest: JSON.stringify({ sessionResult }),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    scope = nock(`${adyenConfig.apiBaseUrl}`)
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'when session is completed ' +
+      'then handlePayment should return the right actions with a pending authorization transaction',
+    async () => {
+      const adyenGetSessionResultResponse = {
+        id: sessionId,
+        status: 'completed',
+        payments: [
+          {
+            amount: { currency: 'EUR', value: 1000 },
+            pspReference: 'VK9DRSLLRCQ2WN82',
+            resultCode: 'Authorised',
+          },
+        ],
+      }
+      scope
+        .get(`/sessions/${sessionId}`)
+        .query((query) => query.sessionResult === sessionResult)
+        .reply(200, adyenGetSessionResultResponse)
+
+      const result = await getSessionResultHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions.length).to.equal(3)
+      expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+      expect(result.actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_GET_SESSION_RESULT,
+      )
+      expect(result.actions[0].fields.response).to.equal(
+        JSON.stringify(adyenGetSessionResultResponse),
+      )
+      expect(result.actions[1].action).to.equal('setCustomField')
+      expect(result.actions[1].name).to.equal(
+        c.CTP_CUSTOM_FIELD_GET_SESSION_RESULT_RESPONSE,
+      )
+      expect(result.actions[1].value).to.equal(
+        result.actions[0].fields.response,
+      )
+      expect(result.actions[2]).to.deep.equal({
+        action: 'addTransaction',
+        transaction: {
+          type: 'Authorization',
+          amount: {
+            currencyCode: 'EUR',
+            centAmount: 1000,
+          },
+          state: 'Pending',
+          interactionId: 'VK9DRSLLRCQ2WN82',
+          custom: undefined,
+        },
+      })
+    },
+  )
+
+  it(
+    'when the payment already has a transaction with the pspReference ' +
+      'then handlePayment should not add another transaction',
+    async () => {
+      const adyenGetSessionResultResponse = {
+        id: sessionId,
+        status: 'refused',
+        payments: [
+          {
+            amount: { currency: 'EUR', value: 1000 },
+            pspReference: 'VK9DRSLLRCQ2WN82',
+            resultCode: 'Refused',
+          },
+        ],
+      }
+      scope
+        .get(`/sessions/${sessionId}`)
+        .query(true)
+        .reply(200, adyenGetSessionResultResponse)
+
+      const paymentObjectClone = _.cloneDeep(paymentObject)
+      paymentObjectClone.transactions.push({
+        type: 'Authorization',
+        state: 'Failure',
+        interactionId: 'VK9DRSLLRCQ2WN82',
+      })
+      const result = await getSessionResultHandler.execute(paymentObjectClone)
+
+      expect(result.actions.length).to.equal(2)
+    },
+  )
+
+  it(
+    'when session is still active ' +
+      'then handlePayment should not add a transaction',
+    async () => {
+      scope
+        .get(`/sessions/${sessionId}`)
+        .query(true)
+        .reply(200, { id: sessionId, status: 'active' })
+
+      const result = await getSessionResultHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions.length).to.equal(2)
+    },
+  )
+
+  it(
+    'when adyen request fails ' +
+      'then handlePayment should return the right actions with failed responses',
+    async () => {
+      const errorMsg = 'Unexpected exception'
+      scope.get(`/sessions/${sessionId}`).query(true).replyWithError(errorMsg)
+
+      const result = await getSessionResultHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions.length).to.equal(2)
+      expect(result.actions[0].fields.response).to.include(errorMsg)
+    },
+  )
+})
@@ -0,0 +1,109 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import c from '../../src/config/constants.js'
+import config from '../../src/config/config.js'
+import getStoredPaymentMethodsHandler from '../../src/paymentHandler/get-stored-payment-methods.handler.js'
+
+describe('get-stored-payment-methods::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const getStoredPaymentMethodsRequest = {
+    shopperReference: 'YOUR_SHOPPER_REFERENCE',
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 0,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        getStoredPaymentMethodsRequest: JSON.stringify(
+          getStoredPaymentMethodsRequest,
+        ),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  const adyenCredentials = config.getAdyenConfig(adyenMerchantAccount)
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('handlePayment should return the right actions', async () => {
+    const adyenGetStoredPaymentMethodsResponse = {
+      merchantAccount: adyenMerchantAccount,
+      shopperReference: 'YOUR_SHOPPER_REFERENCE',
+      storedPaymentMethods: [
+        {
+          brand: 'visa',
+          expiryMonth: '03',
+          expiryYear: '30',
+          holderName: 'John Smith',
+          id: '8415718415172200',
+          lastFour: '1111',
+          name: 'VISA',
+          supportedShopperInteractions: ['Ecommerce', 'ContAuth'],
+          type: 'scheme',
+        },
+      ],
+    }
+
+    nock(`${adyenCredentials.apiBaseUrl}`)
+      .get('/storedPaymentMethods')
+      .query({
+        shopperReference: 'YOUR_SHOPPER_REFERENCE',
+        merchantAccount: adyenMerchantAccount,
+      })
+      .reply(200, adyenGetStoredPaymentMethodsResponse)
+
+    const result = await getStoredPaymentMethodsHandler.execute(paymentObject)
+
+    expect(result.actions.length).to.equal(2)
+    expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+    expect(result.actions[1].action).to.equal('setCustomField')
+    const request = JSON.parse(result.actions[0].fields.request)
+    expect(request.method).to.equal('GET')
+    expect(request.headers['X-Api-Key']).to.equal('***')
+    expect(result.actions[0].fields.response).to.equal(
+      JSON.stringify(adyenGetStoredPaymentMethodsResponse),
+    )
+    expect(result.actions[0].fields.response).to.equal(result.actions[1].value)
+    expect(result.actions[0].fields.type).to.equal(
+      c.CTP_INTERACTION_TYPE_GET_STORED_PAYMENT_METHODS,
+    )
+    expect(result.actions[1].name).to.equal(
+      c.CTP_CUSTOM_FIELD_GET_STORED_PAYMENT_METHODS_RESPONSE,
+    )
+  })
+
+  it(
+    'when adyen request fails ' +
+      'then handlePayment should return the right actions with failed responses',
+    async () => {
+      const errorMsg = 'Unexpected exception'
+
+      nock(`${adyenCredentials.apiBaseUrl}`)
+        .get('/storedPaymentMethods')
+        .query(true)
+        .replyWithError(errorMsg)
+
+      const result = await getStoredPaymentMethodsHandler.execute(paymentObject)
+
+      expect(result.actions.length).to.equal(2)
+      expect(result.actions[0].fields.response).to.include(errorMsg)
+      expect(result.actions[1].name).to.equal(
+        c.CTP_CUSTOM_FIELD_GET_STORED_PAYMENT_METHODS_RESPONSE,
+      )
+    },
+  )
+})
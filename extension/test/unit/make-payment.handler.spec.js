@@ -1,6 +1,7 @@
 import nock from 'nock'
 import { expect } from 'chai'
 import _ from 'lodash'
+import sinon from 'sinon'
 import config from '../../src/config/config.js'
 import makePaymentHandler from '../../src/paymentHandler/make-payment.handler.js'
 import paymentSuccessResponse from './fixtures/adyen-make-payment-success-response.js'
@@ -10,6 +11,7 @@ import paymentRedirectResponse from './fixtures/adyen-make-payment-3ds-redirect-
 import paymentValidationFailedResponse from './fixtures/adyen-make-payment-validation-failed-response.js'
 import utils from '../../src/utils.js'
 import mockCtpEnpoints from './mock-ctp-enpoints.js'
+import errorMessages from '../../src/validator/error-messages.js'
 
 const { execute } = makePaymentHandler
 
@@ -736,4 +738,187 @@ describe('make-payment::execute', () => {
       ).to.not.have.own.property('postalCode')
     },
   )
+
+  it(
+    'when make payment request is authentication only and Adyen refuses the authentication, ' +
+      'then it should not add an authorization transaction',
+    async () => {
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+      scope.post('/payments').reply(200, paymentRefusedResponse)
+
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.custom.fields.makePaymentRequest = JSON.stringify({
+        ...makePaymentRequest,
+        authenticationData: { authenticationOnly: true },
+      })
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.commercetoolsProjectKey =
+        commercetoolsProjectKey
+
+      const response = await execute(ctpPaymentClone)
+
+      const addTransaction = response.actions.find(
+        (a) => a.action === 'addTransaction',
+      )
+      expect(addTransaction).to.be.undefined
+    },
+  )
+
+  it(
+    'when the previous attempt was refused and makePaymentRequest has changed, ' +
+      'then it should archive the previous attempt and make a new payment',
+    async () => {
+      const sandbox = sinon.createSandbox()
+      const moduleConfig = config.getModuleConfig()
+      sandbox
+        .stub(config, 'getModuleConfig')
+        .returns({ ...moduleConfig, maxMakePaymentAttempts: 3 })
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+      scope.post('/payments').reply(200, paymentSuccessResponse)
+
+      const previousMakePaymentRequest = JSON.stringify({
+        ...makePaymentRequest,
+        paymentMethod: { type: 'scheme', encryptedCardNumber: 'previous' },
+      })
+      const previousRequest = {
+        body: previousMakePaymentRequest,
+        makePaymentRequest: previousMakePaymentRequest,
+      }
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.custom.fields.makePaymentRequest =
+        JSON.stringify(makePaymentRequest)
+      ctpPaymentClone.custom.fields.makePaymentResponse = paymentRefusedResponse
+      ctpPaymentClone.custom.fields.submitAdditionalPaymentDetailsRequest =
+        JSON.stringify({ details: {} })
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.commercetoolsProjectKey =
+        commercetoolsProjectKey
+      ctpPaymentClone.interfaceInteractions = [
+        {
+          fields: {
+            type: 'makePayment',
+            request: JSON.stringify(previousRequest),
+            response: paymentRefusedResponse,
+            createdAt: '2024-01-01T00:00:00.000Z',
+          },
+        },
+      ]
+
+      try {
+        const response = await execute(ctpPaymentClone)
+
+        const addInterfaceInteractions = response.actions.filter(
+          (a) => a.action === 'addInterfaceInteraction',
+        )
+        expect(addInterfaceInteractions).to.have.lengthOf(2)
+        expect(addInterfaceInteractions[0].fields.type).to.equal(
+          'makePaymentAttempt',
+        )
+        expect(JSON.parse(addInterfaceInteractions[0].fields.request)).to.eql(
+          previousRequest,
+        )
+        expect(JSON.parse(addInterfaceInteractions[0].fields.response)).to.eql(
+          JSON.parse(paymentRefusedResponse),
+        )
+        expect(addInterfaceInteractions[1].fields.type).to.equal('makePayment')
+
+        const clearSubmitDetailsRequest = response.actions.find(
+          (a) =>
+            a.action === 'setCustomField' &&
+            a.name === 'submitAdditionalPaymentDetailsRequest',
+        )
+        expect(clearSubmitDetailsRequest).to.not.have.property('value')
+
+        const setMakePaymentResponse = response.actions.find(
+          (a) =>
+            a.action === 'setCustomField' && a.name === 'makePaymentResponse',
+        )
+        expect(setMakePaymentResponse.value).to.equal(
+          addInterfaceInteractions[1].fields.response,
+        )
+
+        const addTransaction = response.actions.find(
+          (a) => a.action === 'addTransaction',
+        )
+        expect(addTransaction.transaction.state).to.equal('Success')
+      } finally {
+        sandbox.restore()
+      }
+    },
+  )
+
+  describe('with installment rules', () => {
+    const sandbox = sinon.createSandbox()
+
+    beforeEach(() => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        installmentRules: [
+          { countryCode: 'DE', currency: 'EUR', values: [1, 3] },
+        ],
+      })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    function _createPayment(installments) {
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.custom.fields.makePaymentRequest = JSON.stringify({
+        ...makePaymentRequest,
+        installments,
+      })
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.commercetoolsProjectKey =
+        commercetoolsProjectKey
+      return ctpPaymentClone
+    }
+
+    it('when the installments are allowed for the country of the cart, then it should make the payment', async () => {
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+      scope.post('/payments').reply(200, paymentSuccessResponse)
+
+      const response = await execute(_createPayment({ value: 3 }))
+
+      const makePaymentInteraction = response.actions.find(
+        (a) => a.action === 'addInterfaceInteraction',
+      )
+      expect(
+        JSON.parse(JSON.parse(makePaymentInteraction.fields.request).body)
+          .installments,
+      ).to.eql({ value: 3 })
+    })
+
+    it('when the installments are not allowed for the country of the cart, then it should throw an error', async () => {
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, commercetoolsProjectKey)
+
+      try {
+        await execute(_createPayment({ value: 12 }))
+      } catch (e) {
+        expect(e.message).to.equal(
+          errorMessages.MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED,
+        )
+        return
+      }
+      throw new Error('execute should throw an error but did not')
+    })
+
+    it('when the country is unknown, then it should throw an error', async () => {
+      mockCtpEnpoints._mockCtpCartsEndpoint(
+        ctpCartWithNoData,
+        commercetoolsProjectKey,
+      )
+
+      try {
+        await execute(_createPayment({ value: 3 }))
+      } catch (e) {
+        expect(e.message).to.equal(
+          errorMessages.MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED,
+        )
+        return
+      }
+      throw new Error('execute should throw an error but did not')
+    })
+  })
 })
@@ -1,10 +1,13 @@
 import nock from 'nock'
 import lodash from 'lodash'
 import { expect } from 'chai'
+import sinon from 'sinon'
 import config from '../../src/config/config.js'
 import manualCaptureHandler from '../../src/paymentHandler/manual-capture.handler.js'
 import constants from '../../src/config/constants.js'
 import { overrideGenerateIdempotencyKeyConfig } from '../test-utils.js'
+import mockCtpEnpoints from './mock-ctp-enpoints.js'
+import utils from '../../src/utils.js'
 
 const { cloneDeep } = lodash
 const { CTP_INTERACTION_TYPE_MANUAL_CAPTURE } = constants
@@ -68,12 +71,17 @@ describe('manual-capture.handler::execute::', () => {
 
   let scope
   const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const sandbox = sinon.createSandbox()
 
   beforeEach(() => {
     const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
     scope = nock(`${adyenConfig.apiBaseUrl}/payments/8313547924770610/`)
   })
 
+  afterEach(() => {
+    sandbox.restore()
+  })
+
   it(
     'given a payment ' +
       'when "/capture" request to Adyen is received successfully ' +
@@ -207,4 +215,245 @@ describe('manual-capture.handler::execute::', () => {
       )
     },
   )
+
+  it(
+    'given a payment with multiple initial Charge transactions ' +
+      'when "/capture" requests to Adyen are received successfully ' +
+      'then it should capture every transaction',
+    async () => {
+      const secondChargeInitialTransaction = cloneDeep(chargeInitialTransaction)
+      secondChargeInitialTransaction.id = 'secondChargeInitialTransactionId'
+      secondChargeInitialTransaction.amount.centAmount = 500
+      scope
+        .post('/captures', (body) => body.amount.value === 1000)
+        .reply(200, manualCaptureResponse)
+      scope
+        .post('/captures', (body) => body.amount.value === 500)
+        .reply(200, { ...manualCaptureResponse, pspReference: 'secondPsp' })
+
+      const paymentObject = cloneDeep(authorisedPayment)
+      paymentObject.transactions.push(
+        chargeInitialTransaction,
+        secondChargeInitialTransaction,
+      )
+      paymentObject.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+
+      const { actions } = await manualCaptureHandler.execute(paymentObject)
+
+      expect(actions).to.have.lengthOf(6)
+      const addInterfaceInteractions = actions.filter(
+        (a) => a.action === 'addInterfaceInteraction',
+      )
+      expect(addInterfaceInteractions).to.have.lengthOf(2)
+      const changeTransactionInteractionIds = actions.filter(
+        (a) => a.action === 'changeTransactionInteractionId',
+      )
+      expect(changeTransactionInteractionIds).to.have.deep.members([
+        {
+          transactionId: 'chargeInitialTransactionId',
+          action: 'changeTransactionInteractionId',
+          interactionId: '8825408195409505',
+        },
+        {
+          transactionId: 'secondChargeInitialTransactionId',
+          action: 'changeTransactionInteractionId',
+          interactionId: 'secondPsp',
+        },
+      ])
+    },
+  )
+
+  it(
+    'given a Charge transaction with "lineItems" custom field ' +
+      'when "/capture" request is sent to Adyen ' +
+      'then it should contain the matching Adyen line items from the cart',
+    async () => {
+      const ctpProjectKey = config.getAllCtpProjectKeys()[0]
+      const ctpCart = await utils.readAndParseJsonFile(
+        'test/unit/fixtures/ctp-cart.json',
+      )
+      mockCtpEnpoints._mockCtpOrdersEndpoint(undefined, ctpProjectKey)
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, ctpProjectKey)
+      scope.post('/captures').reply(200, manualCaptureResponse)
+
+      const chargeTransactionWithLineItems = cloneDeep(chargeInitialTransaction)
+      chargeTransactionWithLineItems.custom.fields.lineItems = JSON.stringify([
+        { id: ctpCart.lineItems[0].id, quantity: 1 },
+        { id: ctpCart.shippingInfo.shippingMethod.id, quantity: 1 },
+      ])
+      const paymentObject = cloneDeep(authorisedPayment)
+      paymentObject.transactions.push(chargeTransactionWithLineItems)
+      paymentObject.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      paymentObject.custom.fields.commercetoolsProjectKey = ctpProjectKey
+
+      const { actions } = await manualCaptureHandler.execute(paymentObject)
+
+      const adyenRequest = actions.find(
+        (action) => action.action === 'addInterfaceInteraction',
+      ).fields.request
+      const requestBody = JSON.parse(JSON.parse(adyenRequest).body)
+      expect(requestBody.lineItems).to.deep.equal([
+        {
+          id: ctpCart.lineItems[0].variant.sku,
+          quantity: 1,
+          description: 'Product with one variant and one price',
+          amountExcludingTax: 719,
+          amountIncludingTax: 856,
+          taxAmount: 137,
+          taxPercentage: 1900,
+        },
+        {
+          id: ctpCart.shippingInfo.shippingMethodName,
+          quantity: 1,
+          description: 'Abholung beim Fachhändler (kostenlos)',
+          amountExcludingTax: 2269,
+          amountIncludingTax: 2700,
+          taxAmount: 431,
+          taxPercentage: 1900,
+        },
+      ])
+    },
+  )
+
+  it(
+    'given a Charge transaction with "lineItems" custom field and a cart without shipping info ' +
+      'when the shipping method is requested ' +
+      'then it should throw an error and not send "/capture" request to Adyen',
+    async () => {
+      const ctpProjectKey = config.getAllCtpProjectKeys()[0]
+      const ctpCart = await utils.readAndParseJsonFile(
+        'test/unit/fixtures/ctp-cart.json',
+      )
+      const shippingMethodId = ctpCart.shippingInfo.shippingMethod.id
+      delete ctpCart.shippingInfo
+      mockCtpEnpoints._mockCtpOrdersEndpoint(undefined, ctpProjectKey)
+      mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, ctpProjectKey)
+      const captureScope = scope
+        .post('/captures')
+        .reply(200, manualCaptureResponse)
+
+      const chargeTransactionWithLineItems = cloneDeep(chargeInitialTransaction)
+      chargeTransactionWithLineItems.custom.fields.lineItems = JSON.stringify([
+        { id: ctpCart.lineItems[0].id, quantity: 1 },
+        { id: shippingMethodId, quantity: 1 },
+      ])
+      const paymentObject = cloneDeep(authorisedPayment)
+      paymentObject.transactions.push(chargeTransactionWithLineItems)
+      paymentObject.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      paymentObject.custom.fields.commercetoolsProjectKey = ctpProjectKey
+
+      try {
+        await manualCaptureHandler.execute(paymentObject)
+      } catch (e) {
+        expect(e.message).to.equal(
+          `The line item with ID ${shippingMethodId} does not exist in the cart or order with ID ${ctpCart.id}.`,
+        )
+        expect(captureScope.isDone()).to.equal(false)
+        nock.cleanAll()
+        return
+      }
+      throw new Error('execute should throw an error but did not')
+    },
+  )
+
+  for (const quantity of [0, 3, 1.5])
+    it(
+      `given a Charge transaction with "lineItems" custom field and the quantity ${quantity} ` +
+        'when the line item has the quantity 2 ' +
+        'then it should throw an error and not send "/capture" request to Adyen',
+      async () => {
+        const ctpProjectKey = config.getAllCtpProjectKeys()[0]
+        const ctpCart = await utils.readAndParseJsonFile(
+          'test/unit/fixtures/ctp-cart.json',
+        )
+        mockCtpEnpoints._mockCtpOrdersEndpoint(undefined, ctpProjectKey)
+        mockCtpEnpoints._mockCtpCartsEndpoint(ctpCart, ctpProjectKey)
+        const captureScope = scope
+          .post('/captures')
+          .reply(200, manualCaptureResponse)
+
+        const lineItemId = ctpCart.lineItems[0].id
+        const chargeTransactionWithLineItems = cloneDeep(
+          chargeInitialTransaction,
+        )
+        chargeTransactionWithLineItems.custom.fields.lineItems = JSON.stringify(
+          [{ id: lineItemId, quantity }],
+        )
+        const paymentObject = cloneDeep(authorisedPayment)
+        paymentObject.transactions.push(chargeTransactionWithLineItems)
+        paymentObject.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+        paymentObject.custom.fields.commercetoolsProjectKey = ctpProjectKey
+
+        try {
+          await manualCaptureHandler.execute(paymentObject)
+        } catch (e) {
+          expect(e.message).to.equal(
+            `The quantity ${quantity} of the line item with ID ${lineItemId} must be between 1 and 2.`,
+          )
+          expect(captureScope.isDone()).to.equal(false)
+          nock.cleanAll()
+          return
+        }
+        throw new Error('execute should throw an error but did not')
+      },
+    )
+
+  it(
+    'given marketplace splits are configured for the merchant account ' +
+      'when "/capture" request is sent to Adyen ' +
+      'then it should contain the splits of the capture amount',
+    async () => {
+      const ctpProjectKey = config.getAllCtpProjectKeys()[0]
+      sandbox.stub(config, 'getAdyenConfig').returns({
+        ...config.getAdyenConfig(adyenMerchantAccount),
+        marketplaceSplits: {
+          balanceAccountField: 'sellerBalanceAccount',
+          defaultCommissionPercentage: 10,
+        },
+      })
+      mockCtpEnpoints._mockCtpOrdersEndpoint(
+        {
+          totalPrice: { currencyCode: 'EUR', centAmount: 1000 },
+          lineItems: [
+            {
+              id: 'lineItemId',
+              totalPrice: { currencyCode: 'EUR', centAmount: 800 },
+              custom: { fields: { sellerBalanceAccount: 'BA_SELLER' } },
+            },
+          ],
+        },
+        ctpProjectKey,
+      )
+      scope.post('/captures').reply(200, manualCaptureResponse)
+      const paymentObject = cloneDeep(authorisedPayment)
+      paymentObject.transactions.push(chargeInitialTransaction)
+      paymentObject.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      paymentObject.custom.fields.commercetoolsProjectKey = ctpProjectKey
+
+      const { actions } = await manualCaptureHandler.execute(paymentObject)
+
+      const adyenRequest = actions.find(
+        (action) => action.action === 'addInterfaceInteraction',
+      ).fields.request
+      const requestBody = JSON.parse(JSON.parse(adyenRequest).body)
+      expect(requestBody.splits).to.deep.equal([
+        {
+          amount: { value: 720 },
+          type: 'BalanceAccount',
+          account: 'BA_SELLER',
+          reference: 'lineItemId',
+        },
+        {
+          amount: { value: 80 },
+          type: 'Commission',
+          reference: 'commission',
+        },
+        {
+          amount: { value: 200 },
+          type: 'Default',
+          reference: 'default',
+        },
+      ])
+    },
+  )
 })
@@ -0,0 +1,134 @@
+import { expect } from 'chai'
+import utils from '../../src/utils.js'
+import mappingRulesUtils from '../../src/paymentHandler/mapping-rules-utils.js'
+
+describe('mapping-rules-utils::', () => {
+  let ctpCart
+  let ctpPayment
+  const customer = {
+    id: 'customerId',
+    externalId: ' EXT-12345 ',
+    dateOfBirth: '1990-01-15',
+  }
+
+  before(async () => {
+    ctpCart = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-cart.json',
+    )
+    ctpPayment = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-payment.json',
+    )
+  })
+
+  describe('applyMappingRules()', () => {
+    it('should map the source paths to the target paths of the request', () => {
+      const requestObj = mappingRulesUtils.applyMappingRules(
+        { reference: 'YOUR_REFERENCE' },
+        { cart: ctpCart, customer, payment: ctpPayment },
+        [
+          { source: 'customer.externalId', target: 'shopperReference' },
+          {
+            source: 'cart.shippingAddress.country',
+            target: 'deliveryAddress.country',
+          },
+          {
+            source: 'payment.amountPlanned.currencyCode',
+            target: 'metadata.currency',
+          },
+        ],
+      )
+
+      expect(requestObj).to.deep.equal({
+        reference: 'YOUR_REFERENCE',
+        shopperReference: ' EXT-12345 ',
+        deliveryAddress: { country: ctpCart.shippingAddress.country },
+        metadata: { currency: 'EUR' },
+      })
+    })
+
+    it('should apply the transforms in the given order', () => {
+      const requestObj = mappingRulesUtils.applyMappingRules(
+        {},
+        {
+          cart: {
+            billingAddress: {
+              custom: { fields: { phone: ' +49 (30) 123-456 ' } },
+            },
+          },
+          customer,
+        },
+        [
+          {
+            source: 'cart.billingAddress.custom.fields.phone',
+            target: 'telephoneNumber',
+            transform: 'digits',
+          },
+          {
+            source: 'customer.externalId',
+            target: 'shopperReference',
+            transform: ['trim', 'lowercase'],
+          },
+          {
+            source: 'customer.dateOfBirth',
+            target: 'dateOfBirth',
+            transform: 'date',
+          },
+        ],
+      )
+
+      expect(requestObj).to.deep.equal({
+        telephoneNumber: '4930123456',
+        shopperReference: 'ext-12345',
+        dateOfBirth: '1990-01-15',
+      })
+    })
+
+    it('should not override request fields and should skip missing source values', () => {
+      const requestObj = mappingRulesUtils.applyMappingRules(
+        { shopperReference: 'YOUR_SHOPPER_REFERENCE' },
+        { cart: ctpCart, customer: undefined, payment: ctpPayment },
+        [
+          { source: 'cart.customerId', target: 'shopperReference' },
+          { source: 'customer.externalId', target: 'merchantOrderReference' },
+        ],
+      )
+
+      expect(requestObj).to.deep.equal({
+        shopperReference: 'YOUR_SHOPPER_REFERENCE',
+      })
+    })
+
+    it('should skip the rules whose value can not be transformed', () => {
+      const requestObj = mappingRulesUtils.applyMappingRules(
+        {},
+        {
+          cart: ctpCart,
+          customer: { ...customer, dateOfBirth: 'not a date' },
+          payment: ctpPayment,
+        },
+        [
+          {
+            source: 'customer.dateOfBirth',
+            target: 'dateOfBirth',
+            transform: 'date',
+          },
+          {
+            source: 'customer.externalId',
+            target: 'metadata.externalId',
+            transform: 'number',
+          },
+          {
+            source: 'customer.externalId',
+            target: 'shopperReference',
+            transform: ['number', 'string'],
+          },
+          { source: 'customer.id', target: 'merchantOrderReference' },
+        ],
+      )
+
+      expect(requestObj).to.deep.equal({
+        merchantOrderReference: 'customerId',
+      })
+    })
+  })
+})
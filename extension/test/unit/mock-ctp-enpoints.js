@@ -33,4 +33,44 @@ function _mockCtpCustomerEndpoint(mockCustomer, commercetoolsProjectKey) {
     .reply(200, { results: [mockCustomer] })
 }
 
-export default { _mockCtpCartsEndpoint, _mockCtpCustomerEndpoint }
+function _mockCtpOrdersEndpoint(mockOrder, commercetoolsProjectKey) {
+  const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+  const ctpApiScope = nock(`${ctpConfig.apiUrl}`)
+  const ctpAuthScope = nock(`${ctpConfig.authUrl}`)
+  ctpAuthScope.post('/oauth/token').reply(200, {
+    access_token: 'xxx',
+    token_type: 'Bearer',
+    expires_in: 172800,
+    scope: 'manage_project:xxx',
+  })
+  ctpApiScope
+    .get(`/${ctpConfig.projectKey}/orders`)
+    .query(true)
+    .reply(200, { results: mockOrder ? [mockOrder] : [] })
+}
+
+function _mockCtpProductProjectionsEndpoint(
+  mockProducts,
+  commercetoolsProjectKey,
+) {
+  const ctpConfig = config.getCtpConfig(commercetoolsProjectKey)
+  const ctpApiScope = nock(`${ctpConfig.apiUrl}`)
+  const ctpAuthScope = nock(`${ctpConfig.authUrl}`)
+  ctpAuthScope.post('/oauth/token').reply(200, {
+    access_token: 'xxx',
+    token_type: 'Bearer',
+    expires_in: 172800,
+    scope: 'manage_project:xxx',
+  })
+  ctpApiScope
+    .get(`/${ctpConfig.projectKey}/product-projections`)
+    .query(true)
+    .reply(200, { results: mockProducts })
+}
+
+export default {
+  _mockCtpCartsEndpoint,
+  _mockCtpCustomerEndpoint,
+  _mockCtpOrdersEndpoint,
+  _mockCtpProductProjectionsEndpoint,
+}
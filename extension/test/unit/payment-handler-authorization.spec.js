@@ -170,6 +170,35 @@ describe('payment-handler-authorization::execute', () => {
     },
   )
 
+  it(
+    'when endpoint authorization is enabled and a reversal is requested without a successful authorisation ' +
+      'then it should return errors',
+    async () => {
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.transactions = []
+      ctpPaymentClone.custom.fields.reversalRequest = JSON.stringify({})
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.commercetoolsProjectKey = ctpProjectKey
+
+      const sandbox = sinon.createSandbox()
+      sandbox.stub(config, 'getModuleConfig').returns(dummyModuleConfig)
+      sandbox.stub(config, 'getCtpConfig').returns(dummyCtpConfig)
+      try {
+        const response = await handlePayment(
+          ctpPaymentClone,
+          'Basic QWxhZGRpbjpvcGVuIHNlc2FtZQ==',
+        )
+
+        expect(response.errors).to.have.lengthOf(1)
+        expect(response.errors[0].message).to.equal(
+          errorMessage.REVERSAL_REQUEST_MISSING_PSP_REFERENCE,
+        )
+      } finally {
+        sandbox.restore()
+      }
+    },
+  )
+
   it(
     'when endpoint authorization is disabled and unauthorized request is sent' +
       'then it should call /sessions on Adyen',
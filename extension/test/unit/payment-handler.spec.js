@@ -122,5 +122,129 @@ describe('payment-handler::execute', () => {
         errorMessage.CREATE_SESSION_AMOUNT_PLANNED_NOT_SAME,
       )
     })
+
+    describe('was changed by an express checkout update', () => {
+      function _createExpressCheckoutPayment(amountPlannedValue) {
+        const makePaymentRequest = JSON.stringify({
+          reference: 'YOUR_REFERENCE',
+          amount: { currency: 'EUR', value: 5000 },
+          paymentMethod: { type: 'paypal' },
+        })
+        const ctpPaymentClone = _.cloneDeep(ctpPayment)
+        ctpPaymentClone.amountPlanned.centAmount = amountPlannedValue
+        ctpPaymentClone.transactions = []
+        ctpPaymentClone.custom.fields = {
+          adyenMerchantAccount,
+          commercetoolsProjectKey: ctpProjectKey,
+          makePaymentRequest,
+          makePaymentResponse: JSON.stringify({
+            resultCode: 'Pending',
+            pspReference: 'PAYPAL_PSP_REFERENCE',
+            action: { paymentMethodType: 'paypal', type: 'sdk' },
+          }),
+          expressCheckoutUpdateRequest: JSON.stringify({
+            shippingMethodId: 'shipping-method-id',
+          }),
+          expressCheckoutUpdateResponse: JSON.stringify({
+            amount: { currency: 'EUR', value: 8610 },
+          }),
+          submitAdditionalPaymentDetailsRequest: JSON.stringify({
+            details: { orderID: 'PAYPAL_ORDER_ID' },
+          }),
+        }
+        ctpPaymentClone.interfaceInteractions = [
+          {
+            fields: {
+              type: c.CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+              request: JSON.stringify({
+                body: makePaymentRequest,
+                makePaymentRequest,
+              }),
+              createdAt: '2024-01-01T00:00:00.000Z',
+            },
+          },
+          {
+            fields: {
+              type: c.CTP_INTERACTION_TYPE_EXPRESS_CHECKOUT_UPDATE,
+              request: JSON.stringify({
+                shippingMethodId: 'shipping-method-id',
+              }),
+              response: JSON.stringify({
+                amount: { currency: 'EUR', value: 8610 },
+              }),
+              createdAt: '2024-01-01T00:01:00.000Z',
+            },
+          },
+        ]
+        return ctpPaymentClone
+      }
+
+      it('equals the amount of the update, then it should submit the additional payment details', async () => {
+        const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+        nock(adyenConfig.apiBaseUrl)
+          .post('/payments/details')
+          .reply(200, {
+            resultCode: 'Authorised',
+            pspReference: 'PAYPAL_PSP_REFERENCE',
+            amount: { currency: 'EUR', value: 8610 },
+          })
+
+        const response = await paymentHandler.handlePayment(
+          _createExpressCheckoutPayment(8610),
+        )
+
+        expect(response.errors).to.be.undefined
+        const addInterfaceInteraction = response.actions.find(
+          (a) => a.action === 'addInterfaceInteraction',
+        )
+        expect(addInterfaceInteraction.fields.type).to.equal(
+          c.CTP_INTERACTION_TYPE_SUBMIT_ADDITIONAL_PAYMENT_DETAILS,
+        )
+      })
+
+      it('equals the amount of the update in the sessions flow, then it should get the session result', async () => {
+        const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+        nock(adyenConfig.apiBaseUrl)
+          .get('/sessions/SESSION_ID')
+          .query(true)
+          .reply(200, { id: 'SESSION_ID', status: 'completed' })
+        const ctpPaymentClone = _createExpressCheckoutPayment(8610)
+        const createSessionRequest = JSON.stringify({
+          reference: 'YOUR_REFERENCE',
+          amount: { currency: 'EUR', value: 5000 },
+        })
+        ctpPaymentClone.custom.fields = {
+          adyenMerchantAccount,
+          commercetoolsProjectKey: ctpProjectKey,
+          createSessionRequest,
+          createSessionResponse: JSON.stringify({ id: 'SESSION_ID' }),
+          getSessionResultRequest: JSON.stringify({
+            sessionResult: 'SESSION_RESULT',
+          }),
+        }
+        ctpPaymentClone.interfaceInteractions[0].fields = {
+          type: c.CTP_INTERACTION_TYPE_CREATE_SESSION,
+          request: createSessionRequest,
+          createdAt: '2024-01-01T00:00:00.000Z',
+        }
+
+        const response = await paymentHandler.handlePayment(ctpPaymentClone)
+
+        expect(response.errors).to.be.undefined
+        expect(response.actions[0].fields.type).to.equal(
+          c.CTP_INTERACTION_TYPE_GET_SESSION_RESULT,
+        )
+      })
+
+      it('differs from the amount of the update, then it should return errors', async () => {
+        const response = await paymentHandler.handlePayment(
+          _createExpressCheckoutPayment(5000),
+        )
+
+        expect(response.errors[0].message).to.equal(
+          errorMessage.MAKE_PAYMENT_AMOUNT_PLANNED_NOT_SAME,
+        )
+      })
+    })
   })
 })
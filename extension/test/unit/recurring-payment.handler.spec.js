@@ -0,0 +1,198 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import _ from 'lodash'
+import c from '../../src/config/constants.js'
+import config from '../../src/config/config.js'
+import recurringPaymentHandler from '../../src/paymentHandler/recurring-payment.handler.js'
+import paymentHandler from '../../src/paymentHandler/payment-handler.js'
+
+describe('recurring-payment::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  let scope
+
+  const paymentObject = {
+    key: 'subscription-payment-1',
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1000,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    transactions: [
+      {
+        id: 'b5bb8f16-0b83-4d72-a5ac-b8b61a5e5ab4',
+        type: 'Authorization',
+        amount: {
+          type: 'centPrecision',
+          currencyCode: 'EUR',
+          centAmount: 1000,
+          fractionDigits: 2,
+        },
+        state: 'Initial',
+      },
+    ],
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey,
+        adyenMerchantAccount,
+        shopperReference: 'YOUR_SHOPPER_REFERENCE',
+        storedPaymentMethodId: '8415718415172200',
+      },
+    },
+  }
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    scope = nock(`${adyenConfig.apiBaseUrl}`)
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'when payment has an initial authorization transaction and a stored payment method ' +
+      'then payment handler should send a recurring payment request',
+    async () => {
+      scope
+        .post('/payments')
+        .query(true)
+        .reply(200, { pspReference: 'PSP_RECURRING', resultCode: 'Authorised' })
+
+      const result = await paymentHandler.handlePayment(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions.length).to.equal(3)
+      const request = JSON.parse(result.actions[0].fields.request)
+      expect(JSON.parse(request.body)).to.deep.include({
+        amount: { currency: 'EUR', value: 1000 },
+        reference: 'subscription-payment-1',
+        paymentMethod: {
+          type: 'scheme',
+          storedPaymentMethodId: '8415718415172200',
+        },
+        shopperReference: 'YOUR_SHOPPER_REFERENCE',
+        shopperInteraction: 'ContAuth',
+        recurringProcessingModel: 'Subscription',
+        merchantAccount: adyenMerchantAccount,
+      })
+      expect(result.actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_RECURRING_PAYMENT,
+      )
+      expect(result.actions[1]).to.deep.equal({
+        action: 'changeTransactionState',
+        transactionId: 'b5bb8f16-0b83-4d72-a5ac-b8b61a5e5ab4',
+        state: 'Success',
+      })
+      expect(result.actions[2]).to.deep.equal({
+        action: 'changeTransactionInteractionId',
+        transactionId: 'b5bb8f16-0b83-4d72-a5ac-b8b61a5e5ab4',
+        interactionId: 'PSP_RECURRING',
+      })
+    },
+  )
+
+  it(
+    'when payment has a recurringDetailReference and a custom processing model ' +
+      'then it should be used in the request',
+    async () => {
+      scope
+        .post('/payments')
+        .query(true)
+        .reply(200, { pspReference: 'PSP_RECURRING', resultCode: 'Refused' })
+
+      const paymentObjectClone = _.cloneDeep(paymentObject)
+      delete paymentObjectClone.key
+      delete paymentObjectClone.custom.fields.storedPaymentMethodId
+      paymentObjectClone.custom.fields.recurringDetailReference =
+        '8415718415172200'
+      paymentObjectClone.custom.fields.recurringProcessingModel =
+        'UnscheduledCardOnFile'
+      const result = await recurringPaymentHandler.execute(paymentObjectClone)
+
+      const requestBody = JSON.parse(
+        JSON.parse(result.actions[0].fields.request).body,
+      )
+      expect(requestBody.paymentMethod).to.deep.equal({
+        type: 'scheme',
+        recurringDetailReference: '8415718415172200',
+      })
+      expect(requestBody.recurringProcessingModel).to.equal(
+        'UnscheduledCardOnFile',
+      )
+      expect(requestBody.reference).to.equal(
+        'b5bb8f16-0b83-4d72-a5ac-b8b61a5e5ab4',
+      )
+      expect(result.actions[1].state).to.equal('Failure')
+      expect(result.actions[3]).to.deep.equal({
+        action: 'setKey',
+        key: 'b5bb8f16-0b83-4d72-a5ac-b8b61a5e5ab4',
+      })
+    },
+  )
+
+  it(
+    'when adyen request fails with a network error ' +
+      'then the transaction state should not change',
+    async () => {
+      scope.post('/payments').query(true).replyWithError('Network error')
+
+      const result = await recurringPaymentHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(result.actions.length).to.equal(1)
+      expect(result.actions[0].action).to.equal('addInterfaceInteraction')
+    },
+  )
+
+  it(
+    'when adyen request fails with a network error and is sent again ' +
+      'then both requests should have the transaction ID as idempotency key',
+    async () => {
+      const transactionId = paymentObject.transactions[0].id
+      scope
+        .post('/payments')
+        .query(true)
+        .matchHeader('Idempotency-Key', transactionId)
+        .replyWithError('Network error')
+        .post('/payments')
+        .query(true)
+        .matchHeader('Idempotency-Key', transactionId)
+        .reply(200, { resultCode: 'Authorised', pspReference: 'PSP' })
+
+      await recurringPaymentHandler.execute(_.cloneDeep(paymentObject))
+      const result = await recurringPaymentHandler.execute(
+        _.cloneDeep(paymentObject),
+      )
+
+      expect(scope.isDone()).to.equal(true)
+      expect(result.actions[1]).to.eql({
+        action: 'changeTransactionState',
+        transactionId,
+        state: 'Success',
+      })
+    },
+  )
+
+  it(
+    'when payment has no shopperReference ' +
+      'then payment handler should not send a recurring payment request',
+    async () => {
+      const paymentObjectClone = _.cloneDeep(paymentObject)
+      delete paymentObjectClone.custom.fields.shopperReference
+
+      const result = await paymentHandler.handlePayment(paymentObjectClone)
+
+      expect(result.actions.length).to.equal(0)
+    },
+  )
+})
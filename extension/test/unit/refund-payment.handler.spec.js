@@ -123,4 +123,34 @@ describe('refund-payment::execute', () => {
       expect(adyenResponse).to.contains('non-json-response')
     },
   )
+
+  it('when refund transaction contains splits, then it should send these splits to Adyen', async () => {
+    const splits = [
+      {
+        amount: { value: 400 },
+        type: 'BalanceAccount',
+        account: 'BA_SELLER',
+        reference: 'seller-refund',
+      },
+      {
+        amount: { value: 100 },
+        type: 'Default',
+        reference: 'platform-refund',
+      },
+    ]
+    scope.post('/refunds').reply(200, { pspReference: '8825408195409505' })
+    const ctpPaymentClone = _.cloneDeep(ctpPayment)
+    const refundTransactionWithSplits = _.cloneDeep(refundPaymentTransaction)
+    refundTransactionWithSplits.custom.fields.splits = JSON.stringify(splits)
+    ctpPaymentClone.transactions.push(refundTransactionWithSplits)
+    ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+
+    const response = await execute(ctpPaymentClone)
+
+    const adyenRequest = response.actions.find(
+      (action) => action.action === 'addInterfaceInteraction',
+    ).fields.request
+    const requestBody = JSON.parse(JSON.parse(adyenRequest).body)
+    expect(requestBody.splits).to.deep.equal(splits)
+  })
 })
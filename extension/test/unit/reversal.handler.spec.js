@@ -0,0 +1,118 @@
+import nock from 'nock'
+import _ from 'lodash'
+import { expect } from 'chai'
+import config from '../../src/config/config.js'
+import reversalHandler from '../../src/paymentHandler/reversal.handler.js'
+import utils from '../../src/utils.js'
+import constants from '../../src/config/constants.js'
+
+const { CTP_INTERACTION_TYPE_REVERSAL, CTP_CUSTOM_FIELD_REVERSAL_RESPONSE } =
+  constants
+
+const { execute } = reversalHandler
+
+describe('reversal::execute', () => {
+  let scope
+  let ctpPayment
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+
+  const reversalResponse = {
+    merchantAccount: adyenMerchantAccount,
+    paymentPspReference: '8835513921644842',
+    pspReference: '8825408195409505',
+    reference: 'YOUR_REFERENCE',
+    status: 'received',
+  }
+
+  before(async () => {
+    ctpPayment = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-payment.json',
+    )
+  })
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    scope = nock(`${adyenConfig.apiBaseUrl}/payments/8835513921644842/`)
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'given a payment with successful authorization ' +
+      'when "/reversals" request to Adyen is received successfully ' +
+      'then it should return actions "addInterfaceInteraction", ' +
+      '"setCustomField" and "addTransaction" with pending CancelAuthorization',
+    async () => {
+      let reversalRequestBody
+      scope
+        .post('/reversals', (body) => {
+          reversalRequestBody = body
+          return true
+        })
+        .reply(201, reversalResponse)
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.key = 'YOUR_REFERENCE'
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.reversalRequest = JSON.stringify({})
+
+      const { actions } = await execute(ctpPaymentClone)
+
+      expect(reversalRequestBody).to.deep.include({
+        merchantAccount: adyenMerchantAccount,
+        reference: 'YOUR_REFERENCE',
+      })
+      expect(actions).to.have.lengthOf(3)
+      expect(actions[0].action).to.equal('addInterfaceInteraction')
+      expect(actions[0].fields.type).to.equal(CTP_INTERACTION_TYPE_REVERSAL)
+      expect(actions[0].fields.response).to.equal(
+        JSON.stringify(reversalResponse),
+      )
+      expect(actions[1]).to.deep.equal({
+        action: 'setCustomField',
+        name: CTP_CUSTOM_FIELD_REVERSAL_RESPONSE,
+        value: JSON.stringify(reversalResponse),
+      })
+      expect(actions[2].action).to.equal('addTransaction')
+      expect(actions[2].transaction).to.deep.include({
+        type: 'CancelAuthorization',
+        state: 'Pending',
+        interactionId: '8825408195409505',
+        amount: {
+          currencyCode: ctpPayment.amountPlanned.currencyCode,
+          centAmount: ctpPayment.amountPlanned.centAmount,
+        },
+      })
+    },
+  )
+
+  it(
+    'given a payment ' +
+      'when "/reversals" request to Adyen fails ' +
+      'then it should not add a transaction',
+    async () => {
+      const errorResponse = {
+        status: 422,
+        errorCode: '167',
+        message: 'Original pspReference required for this operation',
+        errorType: 'validation',
+      }
+      scope.post('/reversals').reply(422, errorResponse)
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+      ctpPaymentClone.custom.fields.reversalRequest = JSON.stringify({
+        paymentPspReference: '8835513921644842',
+      })
+
+      const { actions } = await execute(ctpPaymentClone)
+
+      expect(actions).to.have.lengthOf(2)
+      expect(actions[1]).to.deep.equal({
+        action: 'setCustomField',
+        name: CTP_CUSTOM_FIELD_REVERSAL_RESPONSE,
+        value: JSON.stringify(errorResponse),
+      })
+    },
+  )
+})
@@ -0,0 +1,232 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import config from '../../src/config/config.js'
+import splitsUtils from '../../src/paymentHandler/splits-utils.js'
+import mockCtpEnpoints from './mock-ctp-enpoints.js'
+
+describe('splits-utils::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const splitsConfig = {
+    balanceAccountField: 'sellerBalanceAccount',
+    commissionPercentageField: 'commissionPercentage',
+    defaultCommissionPercentage: 10,
+  }
+  const cart = {
+    totalPrice: { currencyCode: 'EUR', centAmount: 10000 },
+    lineItems: [
+      {
+        id: 'lineItem1',
+        totalPrice: { currencyCode: 'EUR', centAmount: 6000 },
+        custom: {
+          fields: {
+            sellerBalanceAccount: 'BA_SELLER_1',
+            commissionPercentage: 15,
+          },
+        },
+      },
+      {
+        id: 'lineItem2',
+        totalPrice: { currencyCode: 'EUR', centAmount: 3333 },
+        supplyChannel: {
+          typeId: 'channel',
+          id: 'channelId',
+          obj: {
+            custom: { fields: { sellerBalanceAccount: 'BA_SELLER_2' } },
+          },
+        },
+      },
+      {
+        id: 'lineItem3',
+        totalPrice: { currencyCode: 'EUR', centAmount: 167 },
+      },
+    ],
+  }
+
+  function _sumSplits(splits) {
+    return splits.reduce((sum, split) => sum + split.amount.value, 0)
+  }
+
+  describe('calculateSplits()', () => {
+    it(
+      'when the amount equals the cart total ' +
+        'then it should split every line item with a seller between the seller and the commission',
+      () => {
+        const splits = splitsUtils.calculateSplits(
+          cart,
+          { currency: 'EUR', value: 10000 },
+          splitsConfig,
+        )
+
+        expect(splits).to.deep.equal([
+          {
+            amount: { value: 5100 },
+            type: 'BalanceAccount',
+            account: 'BA_SELLER_1',
+            reference: 'lineItem1',
+          },
+          {
+            amount: { value: 3000 },
+            type: 'BalanceAccount',
+            account: 'BA_SELLER_2',
+            reference: 'lineItem2',
+          },
+          {
+            amount: { value: 1233 },
+            type: 'Commission',
+            reference: 'commission',
+          },
+          {
+            amount: { value: 667 },
+            type: 'Default',
+            reference: 'default',
+          },
+        ])
+        expect(_sumSplits(splits)).to.equal(10000)
+      },
+    )
+
+    it(
+      'when the amount is a part of the cart total ' +
+        'then the split amounts should still add up to the amount',
+      () => {
+        const splits = splitsUtils.calculateSplits(
+          cart,
+          { currency: 'EUR', value: 3333 },
+          splitsConfig,
+        )
+
+        expect(_sumSplits(splits)).to.equal(3333)
+        splits.forEach((split) =>
+          expect(split.amount.value).to.be.greaterThan(0),
+        )
+      },
+    )
+
+    it(
+      'when the cart has a discount on the total price ' +
+        'then the discount should be spread over the line items',
+      () => {
+        const discountedCart = {
+          ...cart,
+          totalPrice: { currencyCode: 'EUR', centAmount: 9000 },
+          discountOnTotalPrice: {
+            discountedAmount: { currencyCode: 'EUR', centAmount: 1000 },
+          },
+        }
+        const splits = splitsUtils.calculateSplits(
+          discountedCart,
+          { currency: 'EUR', value: 9000 },
+          splitsConfig,
+        )
+
+        expect(splits).to.deep.equal([
+          {
+            amount: { value: 4590 },
+            type: 'BalanceAccount',
+            account: 'BA_SELLER_1',
+            reference: 'lineItem1',
+          },
+          {
+            amount: { value: 2699 },
+            type: 'BalanceAccount',
+            account: 'BA_SELLER_2',
+            reference: 'lineItem2',
+          },
+          {
+            amount: { value: 1110 },
+            type: 'Commission',
+            reference: 'commission',
+          },
+          {
+            amount: { value: 601 },
+            type: 'Default',
+            reference: 'default',
+          },
+        ])
+        expect(_sumSplits(splits)).to.equal(9000)
+      },
+    )
+
+    it('when the line items exceed the cart total then it should throw an error', () => {
+      const inconsistentCart = {
+        ...cart,
+        id: 'cartId',
+        totalPrice: { currencyCode: 'EUR', centAmount: 5000 },
+      }
+
+      expect(() =>
+        splitsUtils.calculateSplits(
+          inconsistentCart,
+          { currency: 'EUR', value: 5000 },
+          splitsConfig,
+        ),
+      ).to.throw(
+        'The splits of the cart or order with ID cartId exceed the amount 5000.',
+      )
+    })
+
+    it('when the currency differs from the cart then it should not create splits', () => {
+      const splits = splitsUtils.calculateSplits(
+        cart,
+        { currency: 'USD', value: 10000 },
+        splitsConfig,
+      )
+
+      expect(splits).to.be.undefined
+    })
+  })
+
+  describe('createSplitsForTransactions()', () => {
+    const sandbox = sinon.createSandbox()
+    const paymentObject = {
+      id: 'paymentId',
+      custom: {
+        fields: { adyenMerchantAccount, commercetoolsProjectKey },
+      },
+    }
+    const transaction = {
+      id: 'refundTransactionId',
+      type: 'Refund',
+      amount: { currencyCode: 'EUR', centAmount: 5000 },
+      state: 'Initial',
+    }
+
+    afterEach(() => {
+      sandbox.restore()
+      nock.cleanAll()
+    })
+
+    it('when marketplace splits are not configured then it should not create splits', async () => {
+      const transactionIdToSplits =
+        await splitsUtils.createSplitsForTransactions(paymentObject, [
+          transaction,
+        ])
+
+      expect(transactionIdToSplits).to.deep.equal({})
+    })
+
+    it('when marketplace splits are configured then it should create splits from the order', async () => {
+      sandbox.stub(config, 'getAdyenConfig').returns({
+        ...config.getAdyenConfig(adyenMerchantAccount),
+        marketplaceSplits: splitsConfig,
+      })
+      mockCtpEnpoints._mockCtpOrdersEndpoint(cart, commercetoolsProjectKey)
+
+      const transactionIdToSplits =
+        await splitsUtils.createSplitsForTransactions(paymentObject, [
+          transaction,
+        ])
+
+      const splits = transactionIdToSplits.refundTransactionId
+      expect(splits[0]).to.deep.equal({
+        amount: { value: 2550 },
+        type: 'BalanceAccount',
+        account: 'BA_SELLER_1',
+        reference: 'lineItem1',
+      })
+      expect(_sumSplits(splits)).to.equal(5000)
+    })
+  })
+})
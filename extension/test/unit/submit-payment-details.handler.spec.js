@@ -249,6 +249,7 @@ describe('submit-additional-payment-details::execute', () => {
       'then it should not remove sensitive data',
     async () => {
       const extensionDummyConfig = {
+        ...config.getModuleConfig(),
         removeSensitiveData: false,
         port: 8080,
         logLevel: 'debug',
@@ -294,6 +295,7 @@ describe('submit-additional-payment-details::execute', () => {
       'then it should remove sensitive data',
     async () => {
       const extensionDummyConfig = {
+        ...config.getModuleConfig(),
         removeSensitiveData: true,
         port: 8080,
         logLevel: 'debug',
@@ -371,4 +373,57 @@ describe('submit-additional-payment-details::execute', () => {
       expect(addTransaction).to.be.undefined
     },
   )
+
+  it(
+    'when make payment request is authentication only, ' +
+      'then it should store the threeDS2Result and should not add a transaction',
+    async () => {
+      const threeDS2Result = {
+        authenticationValue: 'QURZRU4gM0RTMiBURVNUIENBVlY=',
+        dsTransID: 'a3b86754-444d-46ca-95a2-ada351d3f42c',
+        eci: '05',
+        messageVersion: '2.2.0',
+        threeDSServerTransID: '6edcc246-23ee-4e94-ac5d-8ae620bea7d9',
+        transStatus: 'Y',
+      }
+      const submitPaymentDetailsAuthenticationResponse = {
+        pspReference: '852588749855524C',
+        resultCode: 'AuthenticationFinished',
+        threeDS2Result,
+      }
+      let submitPaymentDetailsRequestBody
+      scope.post('/payments/details').reply(200, (uri, requestBody) => {
+        submitPaymentDetailsRequestBody = requestBody
+        return submitPaymentDetailsAuthenticationResponse
+      })
+
+      const ctpPaymentClone = _.cloneDeep(ctpPayment)
+      ctpPaymentClone.custom.fields.makePaymentRequest = JSON.stringify({
+        reference: 'YOUR_REFERENCE',
+        authenticationData: { authenticationOnly: true },
+      })
+      ctpPaymentClone.custom.fields.submitAdditionalPaymentDetailsRequest =
+        JSON.stringify(submitPaymentDetailsRequest)
+      ctpPaymentClone.custom.fields.makePaymentResponse = JSON.stringify(
+        makePaymentRedirectResponse,
+      )
+      ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+
+      const response = await execute(ctpPaymentClone)
+
+      expect(
+        submitPaymentDetailsRequestBody.threeDSAuthenticationOnly,
+      ).to.equal(true)
+      const setThreeDS2ResultAction = response.actions.find(
+        (a) => a.name === c.CTP_CUSTOM_FIELD_THREE_DS2_RESULT,
+      )
+      expect(JSON.parse(setThreeDS2ResultAction.value)).to.deep.equal(
+        threeDS2Result,
+      )
+      const addTransaction = response.actions.find(
+        (a) => a.action === 'addTransaction',
+      )
+      expect(addTransaction).to.be.undefined
+    },
+  )
 })
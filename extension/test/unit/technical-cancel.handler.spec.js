@@ -0,0 +1,141 @@
+import nock from 'nock'
+import _ from 'lodash'
+import { expect } from 'chai'
+import config from '../../src/config/config.js'
+import technicalCancelHandler from '../../src/paymentHandler/technical-cancel.handler.js'
+import paymentHandler from '../../src/paymentHandler/payment-handler.js'
+import utils from '../../src/utils.js'
+import constants from '../../src/config/constants.js'
+
+const {
+  CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+  CTP_INTERACTION_TYPE_TECHNICAL_CANCEL,
+} = constants
+
+const { execute } = technicalCancelHandler
+
+describe('technical-cancel::execute', () => {
+  let scope
+  let ctpPayment
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const commercetoolsProjectKey = config.getAllCtpProjectKeys()[0]
+  const cancelPaymentTransaction = {
+    id: 'cancelTransactionId',
+    type: 'CancelAuthorization',
+    amount: {
+      type: 'centPrecision',
+      currencyCode: 'EUR',
+      centAmount: 1000,
+      fractionDigits: 2,
+    },
+    state: 'Initial',
+  }
+
+  const technicalCancelResponse = {
+    merchantAccount: adyenMerchantAccount,
+    paymentReference: 'YOUR_MERCHANT_REFERENCE',
+    pspReference: '8825408195409505',
+    reference: 'YOUR_REFERENCE',
+    status: 'received',
+  }
+
+  function _createPaymentWithTimedOutMakePayment() {
+    const ctpPaymentClone = _.cloneDeep(ctpPayment)
+    ctpPaymentClone.key = 'YOUR_REFERENCE'
+    ctpPaymentClone.transactions = [cancelPaymentTransaction]
+    ctpPaymentClone.custom.fields.adyenMerchantAccount = adyenMerchantAccount
+    ctpPaymentClone.custom.fields.commercetoolsProjectKey =
+      commercetoolsProjectKey
+    ctpPaymentClone.interfaceInteractions = [
+      {
+        fields: {
+          type: CTP_INTERACTION_TYPE_MAKE_PAYMENT,
+          createdAt: '2024-01-01T00:00:00.000Z',
+          request: JSON.stringify({
+            body: JSON.stringify({ reference: 'YOUR_MERCHANT_REFERENCE' }),
+          }),
+          response: JSON.stringify({
+            name: 'FetchError',
+            message: 'network timeout at: https://checkout-test.adyen.com',
+            type: 'request-timeout',
+          }),
+        },
+      },
+    ]
+    return ctpPaymentClone
+  }
+
+  before(async () => {
+    ctpPayment = await utils.readAndParseJsonFile(
+      'test/unit/fixtures/ctp-payment.json',
+    )
+  })
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    scope = nock(`${adyenConfig.apiBaseUrl}`)
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it(
+    'given a payment with timed out makePayment request ' +
+      'when "/cancels" request to Adyen is received successfully ' +
+      'then it should return actions "addInterfaceInteraction", ' +
+      '"changeTransactionState" and "changeTransactionInteractionId"',
+    async () => {
+      let technicalCancelRequestBody
+      scope
+        .post('/cancels', (body) => {
+          technicalCancelRequestBody = body
+          return true
+        })
+        .reply(201, technicalCancelResponse)
+
+      const { actions } = await execute(_createPaymentWithTimedOutMakePayment())
+
+      expect(technicalCancelRequestBody).to.deep.equal({
+        merchantAccount: adyenMerchantAccount,
+        paymentReference: 'YOUR_MERCHANT_REFERENCE',
+        reference: 'YOUR_REFERENCE',
+      })
+      expect(actions).to.have.lengthOf(3)
+      expect(actions[0].fields.type).to.equal(
+        CTP_INTERACTION_TYPE_TECHNICAL_CANCEL,
+      )
+      expect(actions[0].fields.response).to.equal(
+        JSON.stringify(technicalCancelResponse),
+      )
+      expect(actions[1]).to.deep.equal({
+        transactionId: 'cancelTransactionId',
+        action: 'changeTransactionState',
+        state: 'Pending',
+      })
+      expect(actions[2]).to.deep.equal({
+        transactionId: 'cancelTransactionId',
+        action: 'changeTransactionInteractionId',
+        interactionId: '8825408195409505',
+      })
+    },
+  )
+
+  it(
+    'given a payment without successful authorization and with timed out makePayment request ' +
+      'when CancelAuthorization transaction is added ' +
+      'then payment handler should make a technical cancel',
+    async () => {
+      scope.post('/cancels').reply(201, technicalCancelResponse)
+
+      const { actions } = await paymentHandler.handlePayment(
+        _createPaymentWithTimedOutMakePayment(),
+      )
+
+      expect(scope.isDone()).to.equal(true)
+      expect(actions[0].fields.type).to.equal(
+        CTP_INTERACTION_TYPE_TECHNICAL_CANCEL,
+      )
+    },
+  )
+})
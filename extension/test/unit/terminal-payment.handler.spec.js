@@ -0,0 +1,174 @@
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import lodash from 'lodash'
+import c from '../../src/config/constants.js'
+import terminalPaymentHandler from '../../src/paymentHandler/terminal-payment.handler.js'
+import config from '../../src/config/config.js'
+
+const { cloneDeep } = lodash
+
+describe('terminal-payment::execute::', () => {
+  const adyenMerchantAccount = config.getAllAdyenMerchantAccounts()[0]
+  const terminalApiBaseUrl = 'http://localhost:8080/terminal-api'
+  const terminalPaymentRequest = {
+    SaleToPOIRequest: {
+      MessageHeader: {
+        SaleID: 'POSSystemID12345',
+        POIID: 'V400m-324688179',
+      },
+      PaymentRequest: {
+        SaleData: {
+          SaleTransactionID: {
+            TransactionID: 'YOUR_TRANSACTION_ID',
+          },
+        },
+      },
+    },
+  }
+  const paymentObject = {
+    amountPlanned: {
+      currencyCode: 'EUR',
+      centAmount: 1099,
+      fractionDigits: 2,
+    },
+    paymentMethodInfo: {
+      paymentInterface: c.CTP_ADYEN_INTEGRATION,
+    },
+    transactions: [],
+    interfaceInteractions: [],
+    custom: {
+      type: {
+        typeId: 'type',
+        key: c.CTP_PAYMENT_CUSTOM_TYPE_KEY,
+      },
+      fields: {
+        commercetoolsProjectKey: 'commercetoolsProjectKey',
+        terminalPaymentRequest: JSON.stringify(terminalPaymentRequest),
+        adyenMerchantAccount,
+      },
+    },
+  }
+
+  function _createTerminalPaymentResponse(result) {
+    return {
+      SaleToPOIResponse: {
+        MessageHeader: terminalPaymentRequest.SaleToPOIRequest.MessageHeader,
+        PaymentResponse: {
+          POIData: {
+            POITransactionID: {
+              TimeStamp: '2024-01-01T10:00:00.000Z',
+              TransactionID: 'BV0q001765534612222.NC6HT9CRT65ZGN82',
+            },
+          },
+          Response: {
+            Result: result,
+            AdditionalResponse: 'pspReference=NC6HT9CRT65ZGN82',
+          },
+        },
+      },
+    }
+  }
+
+  const sandbox = sinon.createSandbox()
+
+  beforeEach(() => {
+    const adyenConfig = config.getAdyenConfig(adyenMerchantAccount)
+    sandbox
+      .stub(config, 'getAdyenConfig')
+      .returns({ ...adyenConfig, terminalApiBaseUrl })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+    nock.cleanAll()
+  })
+
+  it(
+    'when the terminal approves the payment ' +
+      'then it should add a successful Authorization transaction',
+    async () => {
+      let sentRequest
+      nock(terminalApiBaseUrl)
+        .post('/sync', (body) => {
+          sentRequest = body
+          return true
+        })
+        .reply(200, _createTerminalPaymentResponse('Success'))
+
+      const { actions } = await terminalPaymentHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(actions).to.have.lengthOf(4)
+      expect(actions[0].action).to.equal('addInterfaceInteraction')
+      expect(actions[0].fields.type).to.equal(
+        c.CTP_INTERACTION_TYPE_TERMINAL_PAYMENT,
+      )
+      expect(actions[1].name).to.equal(
+        c.CTP_CUSTOM_FIELD_TERMINAL_PAYMENT_RESPONSE,
+      )
+      expect(actions[1].value).to.equal(actions[0].fields.response)
+      expect(actions[2]).to.eql({
+        action: 'setKey',
+        key: 'YOUR_TRANSACTION_ID',
+      })
+      expect(actions[3].transaction).to.deep.include({
+        type: 'Authorization',
+        state: 'Success',
+        interactionId: 'NC6HT9CRT65ZGN82',
+      })
+
+      const { MessageHeader, PaymentRequest } = sentRequest.SaleToPOIRequest
+      expect(sentRequest).to.not.have.property('merchantAccount')
+      expect(MessageHeader).to.deep.include({
+        ProtocolVersion: '3.0',
+        MessageClass: 'Service',
+        MessageCategory: 'Payment',
+        MessageType: 'Request',
+        SaleID: 'POSSystemID12345',
+        POIID: 'V400m-324688179',
+      })
+      expect(MessageHeader.ServiceID).to.have.lengthOf(10)
+      expect(PaymentRequest.SaleData.SaleToAcquirerData).to.equal(
+        'metadata.ctProjectKey=commercetoolsProjectKey',
+      )
+      expect(PaymentRequest.PaymentTransaction.AmountsReq).to.eql({
+        Currency: 'EUR',
+        RequestedAmount: 10.99,
+      })
+    },
+  )
+
+  it(
+    'when the terminal declines the payment ' +
+      'then it should add a failed Authorization transaction',
+    async () => {
+      nock(terminalApiBaseUrl)
+        .post('/sync')
+        .reply(200, _createTerminalPaymentResponse('Failure'))
+
+      const { actions } = await terminalPaymentHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      const addTransaction = actions.find((a) => a.action === 'addTransaction')
+      expect(addTransaction.transaction.state).to.equal('Failure')
+    },
+  )
+
+  it(
+    'when the request to the terminal fails ' +
+      'then it should not add an Authorization transaction',
+    async () => {
+      nock(terminalApiBaseUrl).post('/sync').replyWithError('socket hang up')
+
+      const { actions } = await terminalPaymentHandler.execute(
+        cloneDeep(paymentObject),
+      )
+
+      expect(actions[0].fields.response).to.include('socket hang up')
+      expect(actions.find((a) => a.action === 'addTransaction')).to.be.undefined
+    },
+  )
+})
@@ -1,15 +1,24 @@
 import { expect } from 'chai'
+import sinon from 'sinon'
+import config from '../../src/config/config.js'
 import { withPayment } from '../../src/validator/validator-builder.js'
 import errorMessages from '../../src/validator/error-messages.js'
 
 const {
   CREATE_SESSION_REQUEST_INVALID_JSON,
   CREATE_SESSION_AMOUNT_PLANNED_NOT_SAME,
+  MAKE_PAYMENT_AMOUNT_PLANNED_NOT_SAME,
   CREATE_SESSION_REQUEST_MISSING_REFERENCE,
+  GET_SESSION_RESULT_REQUEST_MISSING_SESSION_ID,
   MISSING_REQUIRED_FIELDS_ADYEN_MERCHANT_ACCOUNT,
   MISSING_REQUIRED_FIELDS_CTP_PROJECT_KEY,
   GET_CARBON_OFFSET_COSTS_REQUEST_INVALID_JSON,
   AMOUNT_UPDATES_REQUEST_MISSING_PSP_REFERENCE,
+  CHARGE_AMOUNT_EXCEEDS_AUTHORIZATION_AMOUNT,
+  MAKE_PAYMENT_MAX_ATTEMPTS_REACHED,
+  REVERSAL_REQUEST_MISSING_PSP_REFERENCE,
+  MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED,
+  TRANSACTION_SPLITS_AMOUNT_MISMATCH,
 } = errorMessages
 
 describe('Validator builder', () => {
@@ -65,6 +74,55 @@ describe('Validator builder', () => {
     },
   )
 
+  it(
+    'payment has amountPlanned from the last amount update, ' +
+      'validateAmountPlanned() should not return error object',
+    () => {
+      const payment = {
+        amountPlanned: {
+          type: 'centPrecision',
+          currencyCode: 'EUR',
+          centAmount: 1500,
+          fractionDigits: 2,
+        },
+        custom: {
+          fields: {
+            makePaymentRequest: JSON.stringify({
+              amount: {
+                currency: 'EUR',
+                value: 1000,
+              },
+            }),
+          },
+        },
+        interfaceInteractions: [
+          {
+            fields: {
+              type: 'amountUpdates',
+              request: JSON.stringify({
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                  amount: {
+                    currency: 'EUR',
+                    value: 1500,
+                  },
+                  reason: 'DelayedCharge',
+                }),
+              }),
+              createdAt: '2024-01-01T00:00:00.000Z',
+            },
+          },
+        ],
+      }
+
+      const errorObject = withPayment(payment)
+        .validateAmountPlanned()
+        .getErrors()
+      expect(errorObject).to.be.empty
+    },
+  )
+
   it(
     'payment has different amountPlanned and amount in createSessionRequest interface interaction, ' +
       'validateAmountPlanned() should return error object',
@@ -163,6 +221,43 @@ describe('Validator builder', () => {
     )
   })
 
+  it('on getSessionResultRequest without sessionId and createSessionResponse should return error object', () => {
+    const invalidPayment = {
+      custom: {
+        fields: {
+          getSessionResultRequest: JSON.stringify({
+            sessionResult: 'X3XtfGC9!H4sIAAAAAAAA...',
+          }),
+        },
+      },
+    }
+    const errorObject = withPayment(invalidPayment)
+      .validateReference()
+      .getErrors()
+
+    expect(errorObject[0].message).to.equal(
+      GET_SESSION_RESULT_REQUEST_MISSING_SESSION_ID,
+    )
+  })
+
+  it('on getSessionResultRequest with createSessionResponse but without sessionId should not return error', () => {
+    const validPayment = {
+      custom: {
+        fields: {
+          createSessionResponse: JSON.stringify({ id: 'CS12345678' }),
+          getSessionResultRequest: JSON.stringify({
+            sessionResult: 'X3XtfGC9!H4sIAAAAAAAA...',
+          }),
+        },
+      },
+    }
+    const errorObject = withPayment(validPayment)
+      .validateReference()
+      .getErrors()
+
+    expect(errorObject).to.be.empty
+  })
+
   it('on missing commercetoolsProjectKey in custom fields should return error object', () => {
     const invalidPayment = {
       custom: {
@@ -245,4 +340,476 @@ describe('Validator builder', () => {
       AMOUNT_UPDATES_REQUEST_MISSING_PSP_REFERENCE,
     )
   })
+
+  it('on reversalRequest without pspReference and authorization should return error object', () => {
+    const invalidPayment = {
+      transactions: [],
+      custom: {
+        fields: {
+          reversalRequest: JSON.stringify({ reference: 'test' }),
+        },
+      },
+    }
+
+    const errorObject = withPayment(invalidPayment)
+      .validatePaymentPspReference()
+      .getErrors()
+
+    expect(errorObject[0].message).to.equal(
+      REVERSAL_REQUEST_MISSING_PSP_REFERENCE,
+    )
+  })
+
+  describe('validateChargeAmount()', () => {
+    const payment = {
+      transactions: [
+        {
+          id: 'authorizationTransactionId',
+          type: 'Authorization',
+          amount: { currencyCode: 'EUR', centAmount: 1000 },
+          state: 'Success',
+        },
+        {
+          id: 'chargeSuccessTransactionId',
+          type: 'Charge',
+          amount: { currencyCode: 'EUR', centAmount: 400 },
+          state: 'Success',
+        },
+        {
+          id: 'chargeFailureTransactionId',
+          type: 'Charge',
+          amount: { currencyCode: 'EUR', centAmount: 600 },
+          state: 'Failure',
+        },
+      ],
+    }
+
+    it('when charges are within the authorized amount, it should not return errors', () => {
+      const paymentWithCharge = {
+        transactions: [
+          ...payment.transactions,
+          {
+            id: 'chargeInitialTransactionId',
+            type: 'Charge',
+            amount: { currencyCode: 'EUR', centAmount: 600 },
+            state: 'Initial',
+          },
+        ],
+      }
+      const validator = withPayment(paymentWithCharge).validateChargeAmount()
+      expect(validator.hasErrors()).to.equal(false)
+    })
+
+    it('when charges exceed the authorized amount, it should return error object', () => {
+      const paymentWithCharge = {
+        transactions: [
+          ...payment.transactions,
+          {
+            id: 'chargeInitialTransactionId1',
+            type: 'Charge',
+            amount: { currencyCode: 'EUR', centAmount: 300 },
+            state: 'Initial',
+          },
+          {
+            id: 'chargeInitialTransactionId2',
+            type: 'Charge',
+            amount: { currencyCode: 'EUR', centAmount: 301 },
+            state: 'Initial',
+          },
+        ],
+      }
+      const errorObject = withPayment(paymentWithCharge)
+        .validateChargeAmount()
+        .getErrors()
+      expect(errorObject[0].message).to.equal(
+        CHARGE_AMOUNT_EXCEEDS_AUTHORIZATION_AMOUNT,
+      )
+    })
+
+    it('when the authorized amount was increased, it should validate the charges against the new amount', () => {
+      const adjustmentNotification = {
+        NotificationRequestItem: {
+          amount: { currency: 'EUR', value: 1500 },
+          eventCode: 'AUTHORISATION_ADJUSTMENT',
+          originalReference: 'authorizationPspReference',
+          pspReference: 'adjustmentPspReference',
+          success: 'true',
+        },
+      }
+      const paymentWithAdjustment = {
+        transactions: [
+          {
+            id: 'authorizationTransactionId',
+            type: 'Authorization',
+            amount: { currencyCode: 'EUR', centAmount: 1000 },
+            interactionId: 'authorizationPspReference',
+            state: 'Success',
+          },
+        ],
+        interfaceInteractions: [
+          {
+            fields: {
+              type: 'notification',
+              createdAt: '2024-01-01T00:00:00.000Z',
+              notification: JSON.stringify(adjustmentNotification),
+            },
+          },
+        ],
+      }
+      const chargeTransaction = {
+        id: 'chargeInitialTransactionId',
+        type: 'Charge',
+        state: 'Initial',
+      }
+
+      const validator = withPayment({
+        ...paymentWithAdjustment,
+        transactions: [
+          ...paymentWithAdjustment.transactions,
+          {
+            ...chargeTransaction,
+            amount: { currencyCode: 'EUR', centAmount: 1500 },
+          },
+        ],
+      }).validateChargeAmount()
+      expect(validator.hasErrors()).to.equal(false)
+
+      const errorObject = withPayment({
+        ...paymentWithAdjustment,
+        transactions: [
+          ...paymentWithAdjustment.transactions,
+          {
+            ...chargeTransaction,
+            amount: { currencyCode: 'EUR', centAmount: 1501 },
+          },
+        ],
+      })
+        .validateChargeAmount()
+        .getErrors()
+      expect(errorObject[0].message).to.equal(
+        CHARGE_AMOUNT_EXCEEDS_AUTHORIZATION_AMOUNT,
+      )
+    })
+  })
+
+  describe('validateMakePaymentAttempts()', () => {
+    const sandbox = sinon.createSandbox()
+
+    function _createMakePaymentInteraction(paymentMethodType) {
+      const makePaymentRequest = JSON.stringify({
+        reference: 'YOUR_REFERENCE',
+        paymentMethod: { type: paymentMethodType },
+      })
+      return {
+        fields: {
+          type: 'makePayment',
+          createdAt: new Date().toISOString(),
+          request: JSON.stringify({
+            body: makePaymentRequest,
+            makePaymentRequest,
+          }),
+        },
+      }
+    }
+
+    const payment = {
+      custom: {
+        fields: {
+          makePaymentRequest: JSON.stringify({
+            reference: 'YOUR_REFERENCE',
+            paymentMethod: { type: 'paypal' },
+          }),
+          makePaymentResponse: JSON.stringify({ resultCode: 'Refused' }),
+        },
+      },
+      interfaceInteractions: [_createMakePaymentInteraction('scheme')],
+    }
+
+    beforeEach(() => {
+      const moduleConfig = config.getModuleConfig()
+      sandbox
+        .stub(config, 'getModuleConfig')
+        .returns({ ...moduleConfig, maxMakePaymentAttempts: 2 })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    it('when the maximum number of attempts is not reached, it should not return errors', () => {
+      const validator = withPayment(payment).validateMakePaymentAttempts()
+      expect(validator.hasErrors()).to.equal(false)
+    })
+
+    it('when the maximum number of attempts is reached, it should return error object', () => {
+      const paymentWithTwoAttempts = {
+        ...payment,
+        interfaceInteractions: [
+          _createMakePaymentInteraction('ideal'),
+          _createMakePaymentInteraction('scheme'),
+        ],
+      }
+      const errorObject = withPayment(paymentWithTwoAttempts)
+        .validateMakePaymentAttempts()
+        .getErrors()
+      expect(errorObject[0].message).to.equal(MAKE_PAYMENT_MAX_ATTEMPTS_REACHED)
+    })
+
+    it('when makePaymentRequest is unchanged, it should not return errors', () => {
+      const unchangedPayment = {
+        ...payment,
+        interfaceInteractions: [
+          _createMakePaymentInteraction('ideal'),
+          _createMakePaymentInteraction('paypal'),
+        ],
+      }
+      const validator =
+        withPayment(unchangedPayment).validateMakePaymentAttempts()
+      expect(validator.hasErrors()).to.equal(false)
+    })
+
+    it('when makePaymentRequest is unchanged but the sent request was extended, it should not return errors', () => {
+      const previousMakePaymentInteraction =
+        _createMakePaymentInteraction('ideal')
+      const makePaymentInteraction = _createMakePaymentInteraction('paypal')
+      const request = JSON.parse(makePaymentInteraction.fields.request)
+      request.body = JSON.stringify({
+        reference: 'YOUR_REFERENCE',
+        paymentMethod: { type: 'paypal' },
+        additionalData: { enhancedSchemeData: { orderDate: '010124' } },
+      })
+      makePaymentInteraction.fields.request = JSON.stringify(request)
+      const unchangedPayment = {
+        ...payment,
+        interfaceInteractions: [
+          previousMakePaymentInteraction,
+          makePaymentInteraction,
+        ],
+      }
+      const validator =
+        withPayment(unchangedPayment).validateMakePaymentAttempts()
+      expect(validator.hasErrors()).to.equal(false)
+    })
+  })
+
+  describe('validateAmountPlanned() on a makePayment retry', () => {
+    const sandbox = sinon.createSandbox()
+
+    const previousMakePaymentRequest = JSON.stringify({
+      reference: 'YOUR_REFERENCE',
+      amount: { currency: 'EUR', value: 1000 },
+      paymentMethod: { type: 'scheme' },
+    })
+
+    function _createPayment(amountPlannedValue, makePaymentResponse) {
+      return {
+        amountPlanned: {
+          type: 'centPrecision',
+          currencyCode: 'EUR',
+          centAmount: amountPlannedValue,
+          fractionDigits: 2,
+        },
+        custom: {
+          fields: {
+            makePaymentRequest: JSON.stringify({
+              reference: 'YOUR_REFERENCE',
+              amount: { currency: 'EUR', value: 1500 },
+              paymentMethod: { type: 'scheme' },
+            }),
+            makePaymentResponse: JSON.stringify(makePaymentResponse),
+          },
+        },
+        interfaceInteractions: [
+          {
+            fields: {
+              type: 'makePayment',
+              createdAt: '2024-01-01T00:00:00.000Z',
+              request: JSON.stringify({
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: previousMakePaymentRequest,
+                makePaymentRequest: previousMakePaymentRequest,
+              }),
+            },
+          },
+        ],
+      }
+    }
+
+    beforeEach(() => {
+      const moduleConfig = config.getModuleConfig()
+      sandbox
+        .stub(config, 'getModuleConfig')
+        .returns({ ...moduleConfig, maxMakePaymentAttempts: 2 })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    it('when the retry changes the amount, it should validate the amount of the new attempt', () => {
+      const errorObject = withPayment(
+        _createPayment(1500, { resultCode: 'Refused' }),
+      )
+        .validateAmountPlanned()
+        .getErrors()
+      expect(errorObject).to.be.empty
+    })
+
+    it('when amountPlanned differs from the amount of the new attempt, it should return error object', () => {
+      const errorObject = withPayment(
+        _createPayment(1000, { resultCode: 'Refused' }),
+      )
+        .validateAmountPlanned()
+        .getErrors()
+      expect(errorObject[0].message).to.equal(
+        MAKE_PAYMENT_AMOUNT_PLANNED_NOT_SAME,
+      )
+    })
+
+    it('when the payment is not retried, it should validate the amount of the previous request', () => {
+      const errorObject = withPayment(
+        _createPayment(1500, { resultCode: 'Authorised' }),
+      )
+        .validateAmountPlanned()
+        .getErrors()
+      expect(errorObject[0].message).to.equal(
+        MAKE_PAYMENT_AMOUNT_PLANNED_NOT_SAME,
+      )
+    })
+  })
+
+  describe('validateInstallments()', () => {
+    const sandbox = sinon.createSandbox()
+
+    beforeEach(() => {
+      sandbox.stub(config, 'getModuleConfig').returns({
+        ...config.getModuleConfig(),
+        installmentRules: [
+          {
+            countryCode: 'MX',
+            currency: 'MXN',
+            maxAmount: 500000,
+            values: [1, 3],
+          },
+          {
+            countryCode: 'MX',
+            currency: 'MXN',
+            minAmount: 500000,
+            values: [1, 3, 6, 12],
+          },
+        ],
+      })
+    })
+
+    afterEach(() => {
+      sandbox.restore()
+    })
+
+    function _createPayment(value, installments) {
+      return {
+        custom: {
+          fields: {
+            makePaymentRequest: JSON.stringify({
+              countryCode: 'MX',
+              amount: { currency: 'MXN', value },
+              installments,
+            }),
+          },
+        },
+      }
+    }
+
+    it('when the installments are allowed for the amount, it should not return errors', () => {
+      const errorObject = withPayment(_createPayment(600000, { value: 12 }))
+        .validateInstallments()
+        .getErrors()
+
+      expect(errorObject).to.be.empty
+    })
+
+    it('when the installments are not allowed for the amount, it should return error object', () => {
+      const errorObject = withPayment(_createPayment(100000, { value: 12 }))
+        .validateInstallments()
+        .getErrors()
+
+      expect(errorObject[0].message).to.equal(
+        MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED,
+      )
+    })
+
+    it('when the country is not in the request, it should leave the validation to the make payment handler', () => {
+      const payment = _createPayment(100000, { value: 12 })
+      const makePaymentRequest = JSON.parse(
+        payment.custom.fields.makePaymentRequest,
+      )
+      delete makePaymentRequest.countryCode
+      payment.custom.fields.makePaymentRequest =
+        JSON.stringify(makePaymentRequest)
+
+      const errorObject = withPayment(payment)
+        .validateInstallments()
+        .getErrors()
+
+      expect(errorObject).to.be.empty
+    })
+
+    it('when the installment plan is not allowed, it should return error object', () => {
+      const errorObject = withPayment(
+        _createPayment(100000, { value: 3, plan: 'revolving' }),
+      )
+        .validateInstallments()
+        .getErrors()
+
+      expect(errorObject[0].message).to.equal(
+        MAKE_PAYMENT_INSTALLMENTS_NOT_ALLOWED,
+      )
+    })
+  })
+
+  describe('validateTransactionSplits()', () => {
+    function _createPaymentWithChargeSplits(splitValues) {
+      return {
+        transactions: [
+          {
+            type: 'Charge',
+            state: 'Initial',
+            amount: { currencyCode: 'EUR', centAmount: 1000 },
+            custom: {
+              fields: {
+                splits: JSON.stringify(
+                  splitValues.map((value) => ({
+                    amount: { value },
+                    type: 'Default',
+                  })),
+                ),
+              },
+            },
+          },
+        ],
+      }
+    }
+
+    it('when the split amounts add up to the transaction amount, it should not return errors', () => {
+      const errorObject = withPayment(
+        _createPaymentWithChargeSplits([700, 300]),
+      )
+        .validateTransactionSplits()
+        .getErrors()
+
+      expect(errorObject).to.be.empty
+    })
+
+    it('when the split amounts do not add up to the transaction amount, it should return error object', () => {
+      const errorObject = withPayment(
+        _createPaymentWithChargeSplits([700, 200]),
+      )
+        .validateTransactionSplits()
+        .getErrors()
+
+      expect(errorObject[0].message).to.equal(
+        TRANSACTION_SPLITS_AMOUNT_MISMATCH,
+      )
+    })
+  })
 })
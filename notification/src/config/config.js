@@ -4,16 +4,34 @@ import { loadConfig } from './config-loader.js'
 const { isEmpty } = lodash
 let config
 
+// days after which Adyen authorisations expire per payment method, see
+// https://docs.adyen.com/online-payments/capture#authorisation-validity
+// The default of 7 days is the validity of a card authorisation for most card schemes,
+// schemes with a different validity can be configured by their brand, e.g. `visa`.
+// This is the only place where the expiry date is calculated, the Extension module does not set it.
+const DEFAULT_AUTHORIZATION_EXPIRY_DAYS = {
+  default: 7,
+  klarna: 28,
+  paypal: 29,
+}
+
 function getModuleConfig() {
   let removeSensitiveData = config.removeSensitiveData !== 'false'
   if (config.removeSensitiveData === false) removeSensitiveData = false
   return {
     removeSensitiveData,
+    automaticAmountUpdates:
+      config.automaticAmountUpdates === true ||
+      config.automaticAmountUpdates === 'true',
     port: config.port,
     logLevel: config.logLevel,
     keepAliveTimeout: !Number.isNaN(config.keepAliveTimeout)
       ? parseFloat(config.keepAliveTimeout, 10)
       : undefined,
+    authorizationExpiryDays: {
+      ...DEFAULT_AUTHORIZATION_EXPIRY_DAYS,
+      ...config.authorizationExpiryDays,
+    },
   }
 }
 
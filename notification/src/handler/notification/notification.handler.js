@@ -50,6 +50,10 @@ async function processNotification(
   )
 
   const ctpClient = await ctp.get(ctpProjectConfig)
+
+  if (isOrderNotification(notification))
+    return processOrderNotification(notification, ctpClient, logger)
+
   const maxRetry = 7
   let retryCount = 0
 
@@ -63,19 +67,14 @@ async function processNotification(
       // if payment doesn't exist throw an error in order to retry fetching
       if (
         !payment ||
-        !(
-          payment.custom.fields.makePaymentResponse ||
-          payment.custom.fields.createSessionResponse
-        )
+        !hasAdyenPaymentResponse(payment, originalReference || pspReference)
       ) {
         throwError(merchantReference)
       }
 
-      // if payment has payment response or session response => updatePayment
-      if (
-        payment.custom.fields.makePaymentResponse ||
-        payment.custom.fields.createSessionResponse
-      ) {
+      // if payment has payment response, session response, payment link response
+      // or a transaction of a merchant initiated payment => updatePayment
+      if (hasAdyenPaymentResponse(payment, originalReference || pspReference)) {
         await updatePaymentWithRepeater(
           payment,
           notification,
@@ -117,6 +116,60 @@ async function processNotification(
   return handleWebhook()
 }
 
+function hasAdyenPaymentResponse(payment, paymentPspReference) {
+  const { fields } = payment.custom
+  return Boolean(
+    fields.makePaymentResponse ||
+      fields.createSessionResponse ||
+      fields.createPaymentLinkResponse ||
+      fields.terminalPaymentResponse ||
+      // merchant initiated payments store the pspReference only in the transaction
+      payment.transactions.some(
+        (transaction) => transaction.interactionId === paymentPspReference,
+      ),
+  )
+}
+
+function isOrderNotification(notification) {
+  const eventCode = notification.NotificationRequestItem.eventCode
+  return eventCode === 'ORDER_OPENED' || eventCode === 'ORDER_CLOSED'
+}
+
+/**
+ * ORDER_OPENED and ORDER_CLOSED notifications belong to an Adyen order and not to a single payment.
+ * They are stored on every linked commercetools payment: the payment that created the order
+ * (key is the order reference) and the partial payments of the order
+ * (keys are the "order-N-pspReference" values of the ORDER_CLOSED notification).
+ */
+async function processOrderNotification(notification, ctpClient, logger) {
+  const keys = getOrderPaymentKeys(notification.NotificationRequestItem)
+  const payments = await getPaymentsByKeys(keys, ctpClient)
+  if (payments.length === 0) {
+    logger.debug(
+      `No payments found for order notification with keys ${JSON.stringify(
+        keys,
+      )}`,
+    )
+    return
+  }
+
+  for (const payment of payments)
+    await updatePaymentWithRepeater(payment, notification, ctpClient, logger)
+}
+
+function getOrderPaymentKeys(notificationRequestItem) {
+  const { merchantReference, pspReference, additionalData } =
+    notificationRequestItem
+  const partialPaymentPspReferences = Object.entries(additionalData || {})
+    .filter(([key]) => /^order-\d+-pspReference$/.test(key))
+    .map(([, value]) => value)
+  return _.uniq(
+    [merchantReference, pspReference, ...partialPaymentPspReferences].filter(
+      Boolean,
+    ),
+  )
+}
+
 function throwError(merchantReference) {
   const error = new Error(`Payment ${merchantReference} is not created yet.`)
   error.statusCode = 404
@@ -256,10 +309,21 @@ async function calculateUpdateActionsForPayment(payment, notification, logger) {
     // otherwise create a transaction with type `transactionType` and state `transactionState`
 
     const { eventDate } = notificationRequestItem
-    const oldTransaction = _.find(
-      payment.transactions,
+    // only a reversal can result in a transaction type other than the one it was tracked with
+    const isReversal = notificationRequestItem.eventCode === 'CANCEL_OR_REFUND'
+    const transactionsWithPspReference = payment.transactions.filter(
       (transaction) => transaction.interactionId === pspReference,
     )
+    const oldTransaction =
+      (isReversal &&
+        transactionsWithPspReference.find(
+          (transaction) => transaction.type === transactionType,
+        )) ||
+      transactionsWithPspReference[0]
+    const authorizationExpiresAt =
+      transactionType === 'Authorization' && transactionState === 'Success'
+        ? calculateAuthorizationExpiryDate(payment, notificationRequestItem)
+        : null
     if (_.isEmpty(oldTransaction))
       updateActions.push(
         getAddTransactionUpdateAction({
@@ -269,9 +333,27 @@ async function calculateUpdateActionsForPayment(payment, notification, logger) {
           amount: notificationRequestItem.amount.value,
           currency: notificationRequestItem.amount.currency,
           interactionId: pspReference,
+          authorizationExpiresAt,
         }),
       )
-    else if (
+    else if (isReversal && oldTransaction.type !== transactionType) {
+      // a reversal is tracked as CancelAuthorization transaction,
+      // but Adyen refunds the payment instead if it was already captured
+      if (compareTransactionStates(oldTransaction.state, 'Failure') > 0)
+        updateActions.push(
+          getChangeTransactionStateUpdateAction(oldTransaction.id, 'Failure'),
+        )
+      updateActions.push(
+        getAddTransactionUpdateAction({
+          timestamp: convertDateToUTCFormat(eventDate, logger),
+          type: transactionType,
+          state: transactionState,
+          amount: notificationRequestItem.amount.value,
+          currency: notificationRequestItem.amount.currency,
+          interactionId: pspReference,
+        }),
+      )
+    } else if (
       compareTransactionStates(oldTransaction.state, transactionState) > 0
     ) {
       updateActions.push(
@@ -287,6 +369,25 @@ async function calculateUpdateActionsForPayment(payment, notification, logger) {
           logger,
         ),
       )
+      if (authorizationExpiresAt)
+        updateActions.push(
+          getSetAuthorizationExpiryUpdateAction(
+            oldTransaction,
+            authorizationExpiresAt,
+          ),
+        )
+    } else if (
+      authorizationExpiresAt &&
+      !isNotificationInInterfaceInteraction &&
+      !oldTransaction.custom?.fields?.authorizationExpiresAt
+    ) {
+      // the Extension module adds successful Authorization transactions without the expiry date
+      updateActions.push(
+        getSetAuthorizationExpiryUpdateAction(
+          oldTransaction,
+          authorizationExpiresAt,
+        ),
+      )
     }
 
     if (notificationRequestItem.success) {
@@ -302,6 +403,19 @@ async function calculateUpdateActionsForPayment(payment, notification, logger) {
     }
   }
 
+  const extendedAuthorizationAction = getExtendedAuthorizationExpiryAction(
+    payment,
+    notificationRequestItem,
+  )
+  if (extendedAuthorizationAction)
+    updateActions.push(extendedAuthorizationAction)
+
+  const changeAmountPlannedAction = getChangeAmountPlannedAction(
+    payment,
+    notificationRequestItem,
+  )
+  if (changeAmountPlannedAction) updateActions.push(changeAmountPlannedAction)
+
   const paymentMethodFromPayment = payment.paymentMethodInfo.method
   const paymentMethodFromNotification = notificationRequestItem.paymentMethod
   if (
@@ -318,6 +432,83 @@ async function calculateUpdateActionsForPayment(payment, notification, logger) {
   return updateActions
 }
 
+function getChangeAmountPlannedAction(payment, notificationRequestItem) {
+  // with automatic amount updates amountPlanned follows the authorised amount, so every successful
+  // adjustment changes it, regardless if the amount update was set by the cart extension or by hand
+  if (
+    !config.getModuleConfig().automaticAmountUpdates ||
+    notificationRequestItem.eventCode !== 'AUTHORISATION_ADJUSTMENT' ||
+    notificationRequestItem.success !== 'true'
+  )
+    return null
+  const { currency, value } = notificationRequestItem.amount
+  if (
+    payment.amountPlanned.currencyCode === currency &&
+    payment.amountPlanned.centAmount === value
+  )
+    return null
+  return {
+    action: 'changeAmountPlanned',
+    amount: { currencyCode: currency, centAmount: value },
+  }
+}
+
+function getExtendedAuthorizationExpiryAction(
+  payment,
+  notificationRequestItem,
+) {
+  // a successful adjustment also extends the validity of the authorisation
+  if (
+    notificationRequestItem.eventCode !== 'AUTHORISATION_ADJUSTMENT' ||
+    notificationRequestItem.success !== 'true'
+  )
+    return null
+  const authorizationTransaction = payment.transactions.find(
+    (transaction) =>
+      transaction.type === 'Authorization' &&
+      transaction.state === 'Success' &&
+      transaction.interactionId === notificationRequestItem.originalReference,
+  )
+  if (!authorizationTransaction) return null
+  return getSetAuthorizationExpiryUpdateAction(
+    authorizationTransaction,
+    calculateAuthorizationExpiryDate(payment, notificationRequestItem),
+  )
+}
+
+function calculateAuthorizationExpiryDate(payment, notificationRequestItem) {
+  const { authorizationExpiryDays } = config.getModuleConfig()
+  const paymentMethod =
+    notificationRequestItem.paymentMethod || payment.paymentMethodInfo.method
+  const days =
+    authorizationExpiryDays[paymentMethod] ?? authorizationExpiryDays.default
+  const expiresAt = new Date(notificationRequestItem.eventDate)
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + days)
+  return expiresAt.toISOString()
+}
+
+function getSetAuthorizationExpiryUpdateAction(
+  transaction,
+  authorizationExpiresAt,
+) {
+  if (transaction.custom)
+    return {
+      action: 'setTransactionCustomField',
+      transactionId: transaction.id,
+      name: 'authorizationExpiresAt',
+      value: authorizationExpiresAt,
+    }
+  return {
+    action: 'setTransactionCustomType',
+    transactionId: transaction.id,
+    type: {
+      key: 'ctp-adyen-integration-transaction-payment-type',
+      typeId: 'type',
+    },
+    fields: { authorizationExpiresAt },
+  }
+}
+
 /**
  * Compares transaction states
  * @param currentState state of the transaction from the CT platform
@@ -515,8 +706,9 @@ function getAddTransactionUpdateAction({
   amount,
   currency,
   interactionId,
+  authorizationExpiresAt,
 }) {
-  return {
+  const addTransactionAction = {
     action: 'addTransaction',
     transaction: {
       timestamp,
@@ -529,6 +721,15 @@ function getAddTransactionUpdateAction({
       interactionId,
     },
   }
+  if (authorizationExpiresAt)
+    addTransactionAction.transaction.custom = {
+      type: {
+        key: 'ctp-adyen-integration-transaction-payment-type',
+        typeId: 'type',
+      },
+      fields: { authorizationExpiresAt },
+    }
+  return addTransactionAction
 }
 
 function getSetMethodInfoMethodAction(paymentMethod) {
@@ -550,6 +751,19 @@ function getSetMethodInfoNameAction(paymentMethod) {
   return null
 }
 
+async function getPaymentsByKeys(keys, ctpClient) {
+  try {
+    const result = await ctpClient.fetchByKeys(ctpClient.builder.payments, keys)
+    return result.body?.results || []
+  } catch (err) {
+    if (err.statusCode === 404) return []
+    const errMsg =
+      `Failed to fetch payments with keys ${JSON.stringify(keys)}. ` +
+      `Error: ${JSON.stringify(serializeError(err))}`
+    throw new VError(err, errMsg)
+  }
+}
+
 async function getPaymentByMerchantReference(
   merchantReference,
   pspReference,
@@ -232,6 +232,15 @@ describe('notification module', () => {
         transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
         timestamp: '2021-01-01T10:00:00.000Z',
       },
+      {
+        action: 'setTransactionCustomType',
+        transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+        type: {
+          key: 'ctp-adyen-integration-transaction-payment-type',
+          typeId: 'type',
+        },
+        fields: { authorizationExpiresAt: '2019-02-06T17:16:22.000Z' },
+      },
       {
         action: 'setKey',
         key: 'test_AUTHORISATION_1',
@@ -443,6 +452,131 @@ describe('notification module', () => {
     expect(stub.callCount).to.equal(7)
   })
 
+  it(`given that ADYEN sends an "AUTHORISATION is successful" notification
+      when payment has been created with a payment link only
+      then notification module should add the authorization transaction`, async () => {
+    // prepare data
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 10100,
+          },
+          additionalData: {
+            'metadata.ctProjectKey': commercetoolsProjectKey,
+          },
+          eventCode: 'AUTHORISATION',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: '8313842560770001',
+          operations: ['CANCEL', 'CAPTURE', 'REFUND'],
+          paymentMethod: 'visa',
+          pspReference: 'test_AUTHORISATION_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.custom.fields = {
+      createPaymentLinkRequest:
+        '{ "amount": { "currency": "EUR", "value": 10100 }, "reference": "8313842560770001" }',
+      createPaymentLinkResponse:
+        '{ "id": "PL61C53A8B97E6915A", "reference": "8313842560770001", "status": "active" }',
+    }
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    const stub = sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    // process
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    // assert
+    expect(stub.callCount).to.equal(1)
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    const addTransactionAction = actualUpdateActions.find(
+      (action) => action.action === 'addTransaction',
+    )
+    expect(addTransactionAction.transaction).to.include({
+      type: 'Authorization',
+      state: 'Success',
+      interactionId: 'test_AUTHORISATION_1',
+    })
+  })
+
+  it(`given that ADYEN sends an "AUTHORISATION is successful" notification
+      when payment is a merchant initiated payment without payment response
+      then notification module should update the pending authorization transaction`, async () => {
+    // prepare data
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 1000,
+          },
+          additionalData: {
+            'metadata.ctProjectKey': commercetoolsProjectKey,
+          },
+          eventCode: 'AUTHORISATION',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'subscription-payment-1',
+          operations: ['CANCEL', 'CAPTURE', 'REFUND'],
+          paymentMethod: 'visa',
+          pspReference: 'test_AUTHORISATION_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.custom.fields = {
+      shopperReference: 'YOUR_SHOPPER_REFERENCE',
+      storedPaymentMethodId: '8415718415172200',
+    }
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'Authorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 1000,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_AUTHORISATION_1',
+      state: 'Pending',
+    })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    const stub = sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    // process
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    // assert
+    expect(stub.callCount).to.equal(1)
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    expect(actualUpdateActions).to.deep.include({
+      action: 'changeTransactionState',
+      state: 'Success',
+      transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+    })
+  })
+
   it(`given that ADYEN sends an "AUTHORISATION is successful" notification
       when payment has a success authorization transaction 
       and has already has the same notification saved in interface interaction
@@ -622,6 +756,322 @@ describe('notification module', () => {
     )
   })
 
+  it(`given that ADYEN sends an "AUTHORISATION is successful" notification
+      when the payment already has the successful Authorization transaction without expiry date
+      then notification module should only set the expiry date of the authorization`, async () => {
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 595,
+          },
+          eventCode: 'AUTHORISATION',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'YOUR_REFERENCE',
+          paymentMethod: 'klarna',
+          pspReference: 'test_AUTHORISATION_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.key = 'test_AUTHORISATION_1'
+    payment.paymentMethodInfo.method = 'klarna'
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'Authorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 595,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_AUTHORISATION_1',
+      state: 'Success',
+    })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    expect(actualUpdateActions.map((action) => action.action)).to.deep.equal([
+      'addInterfaceInteraction',
+      'setTransactionCustomType',
+    ])
+    expect(actualUpdateActions[1]).to.deep.equal({
+      action: 'setTransactionCustomType',
+      transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: {
+        key: 'ctp-adyen-integration-transaction-payment-type',
+        typeId: 'type',
+      },
+      fields: { authorizationExpiresAt: '2019-02-27T17:16:22.000Z' },
+    })
+  })
+
+  it(`given that ADYEN sends an "AUTHORISATION_ADJUSTMENT is successful" notification
+      when the adjusted amount differs from the amount planned of the payment
+      and automatic amount updates are enabled
+      then notification module should change the amount planned
+      and extend the expiry of the authorization`, async () => {
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 1500,
+          },
+          eventCode: 'AUTHORISATION_ADJUSTMENT',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'YOUR_REFERENCE',
+          originalReference: 'test_AUTHORISATION_1',
+          paymentMethod: 'visa',
+          pspReference: 'test_AUTHORISATION_ADJUSTMENT_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'Authorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 595,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_AUTHORISATION_1',
+      state: 'Success',
+    })
+    const moduleConfig = config.getModuleConfig()
+    sandbox
+      .stub(config, 'getModuleConfig')
+      .returns({ ...moduleConfig, automaticAmountUpdates: true })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    expect(actualUpdateActions).to.deep.include({
+      action: 'changeAmountPlanned',
+      amount: { currencyCode: 'EUR', centAmount: 1500 },
+    })
+    expect(actualUpdateActions).to.deep.include({
+      action: 'setTransactionCustomType',
+      transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: {
+        key: 'ctp-adyen-integration-transaction-payment-type',
+        typeId: 'type',
+      },
+      fields: { authorizationExpiresAt: '2019-02-06T17:16:22.000Z' },
+    })
+  })
+
+  it(`given that ADYEN sends an "AUTHORISATION_ADJUSTMENT is successful" notification
+      when the amount was updated by hand without automatic amount updates
+      then notification module should not change the amount planned
+      and extend the expiry of the authorization`, async () => {
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 1500,
+          },
+          eventCode: 'AUTHORISATION_ADJUSTMENT',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'YOUR_REFERENCE',
+          originalReference: 'test_AUTHORISATION_1',
+          paymentMethod: 'visa',
+          pspReference: 'test_AUTHORISATION_ADJUSTMENT_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'Authorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 595,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_AUTHORISATION_1',
+      state: 'Success',
+    })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    expect(actualUpdateActions).to.not.deep.include({
+      action: 'changeAmountPlanned',
+      amount: { currencyCode: 'EUR', centAmount: 1500 },
+    })
+    expect(actualUpdateActions).to.deep.include({
+      action: 'setTransactionCustomType',
+      transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: {
+        key: 'ctp-adyen-integration-transaction-payment-type',
+        typeId: 'type',
+      },
+      fields: { authorizationExpiresAt: '2019-02-06T17:16:22.000Z' },
+    })
+  })
+
+  it(`given that ADYEN sends a "CANCEL_OR_REFUND is successful" notification with refund action
+      when payment has a pending CancelAuthorization transaction of the reversal
+      then notification module should change the CancelAuthorization transaction to failure
+      and add a Refund transaction`, async () => {
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          additionalData: {
+            'modification.action': 'refund',
+          },
+          amount: {
+            currency: 'EUR',
+            value: 495,
+          },
+          eventCode: 'CANCEL_OR_REFUND',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'YOUR_REFERENCE',
+          originalReference: 'test_AUTHORISATION_1',
+          paymentMethod: 'visa',
+          pspReference: 'test_REVERSAL_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'CancelAuthorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 495,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_REVERSAL_1',
+      state: 'Pending',
+    })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    expect(actualUpdateActions[1]).to.deep.equal({
+      action: 'changeTransactionState',
+      transactionId: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      state: 'Failure',
+    })
+    expect(actualUpdateActions[2].action).to.equal('addTransaction')
+    expect(actualUpdateActions[2].transaction).to.deep.include({
+      type: 'Refund',
+      state: 'Success',
+      amount: { currencyCode: 'EUR', centAmount: 495 },
+      interactionId: 'test_REVERSAL_1',
+    })
+  })
+
+  it(`given that ADYEN sends a "CAPTURE is successful" notification
+      when payment has a successful Authorization transaction with the same pspReference
+      then notification module should not change the transactions as for a reversal`, async () => {
+    const notifications = [
+      {
+        NotificationRequestItem: {
+          amount: {
+            currency: 'EUR',
+            value: 495,
+          },
+          eventCode: 'CAPTURE',
+          eventDate: '2019-01-30T18:16:22+01:00',
+          merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+          merchantReference: 'YOUR_REFERENCE',
+          paymentMethod: 'visa',
+          pspReference: 'test_AUTHORISATION_1',
+          success: 'true',
+        },
+      },
+    ]
+    const payment = cloneDeep(paymentMock)
+    payment.transactions.push({
+      id: '9ca92d05-ba63-47dc-8f83-95b08d539646',
+      type: 'Authorization',
+      amount: {
+        type: 'centPrecision',
+        currencyCode: 'EUR',
+        centAmount: 495,
+        fractionDigits: 2,
+      },
+      interactionId: 'test_AUTHORISATION_1',
+      state: 'Success',
+    })
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    sandbox.stub(ctpClient, 'fetchByKeys').callsFake(() => ({
+      body: { results: [payment] },
+    }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    await notificationHandler.processNotification(
+      notifications[0],
+      false,
+      config,
+    )
+
+    const actualUpdateActions = ctpClientUpdateSpy.args[0][3]
+    const transactionActions = actualUpdateActions.filter((action) =>
+      ['addTransaction', 'changeTransactionState'].includes(action.action),
+    )
+    expect(transactionActions).to.be.empty
+  })
+
   it(`given that ADYEN sends a "CAPTURE is successful" notification
       when payment has a successful authorization transaction 
       then notification module should add notification to the interface interaction 
@@ -975,6 +1425,7 @@ describe('notification module', () => {
     async () => {
       // prepare data
       const notificationDummyConfig = {
+        ...config.getModuleConfig(),
         removeSensitiveData: false,
         port: 8080,
         logLevel: 'info',
@@ -1043,6 +1494,7 @@ describe('notification module', () => {
     async () => {
       // prepare data
       const notificationDummyConfig = {
+        ...config.getModuleConfig(),
         removeSensitiveData: true,
         port: 8080,
         logLevel: 'info',
@@ -1164,4 +1616,64 @@ describe('notification module', () => {
       'Failed to fetch a payment with merchantReference',
     )
   })
+
+  it(`given that ADYEN sends an "ORDER_CLOSED" notification
+      when the order has partial payments
+      then notification module should add notification to the interface interaction
+      of every linked payment without adding transactions`, async () => {
+    // prepare data
+    const notification = {
+      NotificationRequestItem: {
+        amount: {
+          currency: 'EUR',
+          value: 2500,
+        },
+        additionalData: {
+          'order-1-pspReference': 'PARTIAL_PAYMENT_PSP_1',
+          'order-1-paymentMethod': 'givex',
+          'order-2-pspReference': 'PARTIAL_PAYMENT_PSP_2',
+          'order-2-paymentMethod': 'visa',
+        },
+        eventCode: 'ORDER_CLOSED',
+        eventDate: '2019-01-30T18:16:22+01:00',
+        merchantAccountCode: 'YOUR_MERCHANT_ACCOUNT',
+        merchantReference: 'YOUR_ORDER_REFERENCE',
+        pspReference: 'ORDER_PSP_REFERENCE',
+        success: 'true',
+      },
+    }
+    const orderPayment = cloneDeep(paymentMock)
+    orderPayment.id = 'order-payment-id'
+    const partialPayment = cloneDeep(paymentMock)
+    partialPayment.id = 'partial-payment-id'
+    const ctpClient = ctpClientMock.get(ctpConfig)
+    const fetchByKeysStub = sandbox
+      .stub(ctpClient, 'fetchByKeys')
+      .callsFake(() => ({
+        body: { results: [orderPayment, partialPayment] },
+      }))
+    const ctpClientUpdateSpy = sandbox.spy(ctpClient, 'update')
+    ctp.get = () => ctpClient
+
+    // process
+    await notificationHandler.processNotification(notification, false, config)
+
+    expect(fetchByKeysStub.args[0][1]).to.deep.equal([
+      'YOUR_ORDER_REFERENCE',
+      'ORDER_PSP_REFERENCE',
+      'PARTIAL_PAYMENT_PSP_1',
+      'PARTIAL_PAYMENT_PSP_2',
+    ])
+    expect(ctpClientUpdateSpy.callCount).to.equal(2)
+    expect(ctpClientUpdateSpy.args.map((args) => args[1])).to.deep.equal([
+      'order-payment-id',
+      'partial-payment-id',
+    ])
+    ctpClientUpdateSpy.args.forEach((args) => {
+      const updateActions = args[3]
+      expect(updateActions).to.have.lengthOf(1)
+      expect(updateActions[0].action).to.equal('addInterfaceInteraction')
+      expect(updateActions[0].fields.status).to.equal('order_closed')
+    })
+  })
 })